@@ -3,7 +3,7 @@
  * SillyTavern 集成层
  */
 
-import { KaomojiReplacer, KaomojiDataManager, SearchEngine } from 'kaomoji-replacer';
+import { KaomojiReplacer, KaomojiDataManager, SearchEngine, RepetitionHistory, getSearchIndex, saveSearchIndex, hashString } from 'kaomoji-replacer';
 
 // SillyTavern Extension 主类
 class KaomojiReplacerExtension {
@@ -11,16 +11,28 @@ class KaomojiReplacerExtension {
         this.extensionName = 'kaomoji-replacer';
         this.replacer = null;
         this.searchEngine = null;
+        this.history = null;
         this.settings = {
             enabled: true,
             autoProcess: true,              // 是否自动处理新消息
             modifyMode: 'display',          // 'display' 或 'content'
             processUserMessages: false,      // 是否处理用户消息
             processAIMessages: true,         // 是否处理 AI 消息
-            replaceStrategy: 'best',        // 'first', 'best', 'all'
+            replaceStrategy: 'best',        // 'first', 'best', 'all', 'weighted'
             keepOriginalOnNotFound: true,   // 找不到时保留原标记
             markNotFound: false,            // 找不到时标记为 [?...]
-            dataPath: 'scripts/extensions/kaomoji-replacer/data/kaomojis.json'
+            avoidRepeats: false,            // 避免在同一聊天中重复使用最近的颜文字
+            repeatWindow: 5,                // 记住最近多少个颜文字
+            repeatMode: 'penalty',          // 'penalty'（降权）或 'skip'（跳过）
+            skipRegions: [],                // 不替换这些区域中的标记（'markdown-code', 'html-comments', 'urls'）
+            convertEmoji: false,            // 把消息中的 emoji 转换为颜文字
+            autoInsert: false,              // 消息中没有标记时按句子自动插入颜文字
+            useContext: false,              // 结合标记所在句子挑选颜文字（如"虽然很尴尬但是[kaomoji:笑]"）
+            pinyin: false,                  // 标记中可以用拼音或首字母（[kaomoji:kaixin]、[kaomoji:kx]）
+            normalize: false,               // 繁体、全角、大小写归一化（[kaomoji:開心] 与 [kaomoji:开心] 相同）
+            fuzzy: false,                   // 标记中的错字按最相近的关键词匹配（[kaomoji:开新] → 开心）
+            dataPath: 'scripts/extensions/kaomoji-replacer/data/kaomojis.json',
+            synonymsPath: 'scripts/extensions/kaomoji-replacer/data/synonyms.json'   // 同义词表（可选）
         };
 
         this.isInitialized = false;
@@ -38,6 +50,7 @@ class KaomojiReplacerExtension {
 
             // 加载数据
             await this.loadKaomojiData();
+            await this.loadSynonyms();
 
             // 注册事件监听器
             this.registerEventListeners();
@@ -60,19 +73,65 @@ class KaomojiReplacerExtension {
      */
     async loadModules() {
         // 核心模块已通过 ES module imports 导入
-        this.searchEngine = new SearchEngine();
+        this.searchEngine = new SearchEngine({
+            pinyin: this.settings.pinyin,
+            normalize: this.settings.normalize,
+            fuzzy: this.settings.fuzzy
+        });
         this.replacer = new KaomojiReplacer(this.searchEngine);
         this.replacer.setConfig({
             replaceStrategy: this.settings.replaceStrategy
         });
+
+        // 重复抑制历史按聊天保存在聊天元数据中
+        if (this.settings.avoidRepeats) {
+            this.history = new RepetitionHistory({
+                window: this.settings.repeatWindow,
+                mode: this.settings.repeatMode,
+                scope: 'chat'
+            });
+            this.replacer.setHistory(this.history);
+            this.loadChatHistory();
+        }
+    }
+
+    /**
+     * 从当前聊天的元数据恢复重复抑制历史
+     */
+    loadChatHistory() {
+        if (!this.history || typeof getContext !== 'function') return;
+
+        this.history.clear();
+
+        const snapshot = getContext().chatMetadata?.[`${this.extensionName}_history`];
+        if (!snapshot) return;
+
+        try {
+            this.history.import(snapshot);
+        } catch (error) {
+            console.warn('Ignoring invalid kaomoji history:', error.message);
+        }
+    }
+
+    /**
+     * 把重复抑制历史保存到当前聊天的元数据
+     */
+    saveChatHistory() {
+        if (!this.history) return;
+
+        const context = getContext();
+        if (!context.chatMetadata) return;
+
+        context.chatMetadata[`${this.extensionName}_history`] = this.history.export();
+        if (typeof context.saveMetadataDebounced === 'function') {
+            context.saveMetadataDebounced();
+        }
     }
 
     /**
      * 加载 kaomoji 数据（带回退机制）
      */
     async loadKaomojiData() {
-        const manager = new KaomojiDataManager();
-
         try {
             // 尝试加载用户自定义数据
             const response = await fetch(this.settings.dataPath);
@@ -80,11 +139,8 @@ class KaomojiReplacerExtension {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const jsonText = await response.text();
-            manager.loadFromJSON(jsonText);
-
-            const data = manager.getAllKaomojis();
-            this.replacer.loadKaomojis(data);
-            console.log(`Loaded ${data.length} kaomojis from ${this.settings.dataPath}`);
+            const count = await this.applyKaomojiData(jsonText);
+            console.log(`Loaded ${count} kaomojis from ${this.settings.dataPath}`);
 
         } catch (error) {
             console.warn('Failed to load custom kaomoji data, trying template:', error.message);
@@ -99,11 +155,8 @@ class KaomojiReplacerExtension {
                 }
 
                 const jsonText = await response.text();
-                manager.loadFromJSON(jsonText);
-
-                const data = manager.getAllKaomojis();
-                this.replacer.loadKaomojis(data);
-                console.log(`Loaded ${data.length} kaomojis from template (fallback)`);
+                const count = await this.applyKaomojiData(jsonText);
+                console.log(`Loaded ${count} kaomojis from template (fallback)`);
 
             } catch (fallbackError) {
                 console.error('Failed to load template data:', fallbackError);
@@ -112,6 +165,75 @@ class KaomojiReplacerExtension {
         }
     }
 
+    /**
+     * 加载同义词表（带回退机制；同义词表是可选的，加载失败时不影响初始化）
+     */
+    async loadSynonyms() {
+        const templatePath = this.settings.synonymsPath.replace('synonyms.json', 'synonyms.template.json');
+
+        for (const path of [this.settings.synonymsPath, templatePath]) {
+            try {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const manager = new KaomojiDataManager();
+                manager.loadSynonymsFromJSON(await response.text());
+                this.searchEngine.setSynonyms(manager.getSynonymGroups());
+                console.log(`Loaded ${manager.synonyms.length} synonym groups from ${path}`);
+                return;
+            } catch (error) {
+                console.warn(`Failed to load synonyms from ${path}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 加载数据到搜索引擎
+     * 若 IndexedDB 中缓存的索引快照与数据、索引相关设置都一致则直接恢复，否则构建索引并缓存快照
+     * @param {string} jsonText - 颜文字数据 JSON 文本
+     * @returns {Promise<number>} 加载的颜文字数量
+     */
+    async applyKaomojiData(jsonText) {
+        // 归一化与拼音设置决定关键词的索引形式，设置变化后旧快照不再可用
+        const engineConfig = {
+            normalize: this.settings.normalize,
+            pinyin: this.settings.pinyin
+        };
+        const sourceHash = hashString(`${JSON.stringify(engineConfig)}\n${jsonText}`).toString(16);
+
+        // 快照只是缓存：读写失败时照常构建索引，不能影响数据加载
+        let snapshot = null;
+        try {
+            snapshot = await getSearchIndex();
+        } catch (error) {
+            console.warn('Failed to read cached search index, rebuilding:', error.message);
+        }
+
+        if (snapshot?.meta?.sourceHash === sourceHash) {
+            try {
+                this.searchEngine.importIndex(snapshot);
+                return this.searchEngine.documents.length;
+            } catch (error) {
+                console.warn('Cached search index is unusable, rebuilding:', error.message);
+            }
+        }
+
+        const manager = new KaomojiDataManager();
+        manager.loadFromJSON(jsonText);
+
+        const data = manager.getAllKaomojis();
+        this.replacer.loadKaomojis(data);
+
+        try {
+            await saveSearchIndex(this.searchEngine.exportIndex({ sourceHash, engineConfig }));
+        } catch (error) {
+            console.warn('Failed to cache search index:', error.message);
+        }
+        return data.length;
+    }
+
     /**
      * 注册 SillyTavern 事件监听器
      */
@@ -129,6 +251,11 @@ class KaomojiReplacerExtension {
                     this.processMessage(messageId);
                 }
             });
+
+            // 切换聊天时换用该聊天的重复抑制历史
+            eventSource.on(event_types.CHAT_CHANGED, () => {
+                this.loadChatHistory();
+            });
         }
     }
 
@@ -158,14 +285,21 @@ class KaomojiReplacerExtension {
             const result = this.replacer.replaceText(originalText, {
                 strategy: this.settings.replaceStrategy,
                 keepOriginalOnNotFound: this.settings.keepOriginalOnNotFound,
-                markNotFound: this.settings.markNotFound
+                markNotFound: this.settings.markNotFound,
+                skipRegions: this.settings.skipRegions,
+                convertEmoji: this.settings.convertEmoji,
+                autoInsert: this.settings.autoInsert,
+                context: this.settings.useContext,
+                chatId: context.chatId
             });
 
-            // 如果没有替换，直接返回
-            if (!result.hasReplacements || result.successCount === 0) {
+            // 如果没有替换、转换或自动插入，直接返回
+            if (result.successCount === 0 && result.emojiConversions.length === 0 && result.insertions.length === 0) {
                 return false;
             }
 
+            this.saveChatHistory();
+
             // 根据模式应用替换
             if (this.settings.modifyMode === 'display') {
                 await this.modifyMessageDisplay(messageId, result.text, originalText);
@@ -173,7 +307,7 @@ class KaomojiReplacerExtension {
                 await this.modifyMessageContent(messageId, result.text, originalText);
             }
 
-            console.log(`Processed message ${messageId}: ${result.successCount} replacements`);
+            console.log(`Processed message ${messageId}: ${result.successCount} replacements, ${result.emojiConversions.length} emoji, ${result.insertions.length} insertions`);
             return true;
 
         } catch (error) {
@@ -8,6 +8,12 @@
 import SearchEngine from '../src/core/SearchEngine.js';
 import KaomojiReplacer from '../src/core/KaomojiReplacer.js';
 import KaomojiDataManager from '../src/core/KaomojiDataManager.js';
+import { MaxMatchTokenizer, NgramTokenizer, createTokenizer, stemEnglish } from '../src/core/Tokenizer.js';
+import { createSeededRandom, hashString } from '../src/core/SeededRandom.js';
+import RepetitionHistory from '../src/core/RepetitionHistory.js';
+import { normalizeText } from '../src/core/Normalizer.js';
+import { findSkipRegions } from '../src/core/SkipRegions.js';
+import { quickReplace } from '../index.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -963,6 +969,1327 @@ suite.test('Keyword weight edge cases', () => {
     log(`  ✓ Parsed "1.0正常权重" as keyword "正常权重" with weight 1.0`);
 });
 
+// 测试 28: 最大匹配分词器
+suite.test('SearchEngine max-match tokenizer', () => {
+    const engine = new SearchEngine({ tokenizer: 'max-match' });
+    engine.buildIndex(testKaomojis);
+
+    // 词典中的词整体输出，词典外的汉字按单字输出，不再产生 "很开" 之类的子串
+    const terms = engine._tokenize('我很开心，想躺平');
+    assert(terms.includes('开心'), 'Should keep dictionary word "开心"');
+    assert(terms.includes('躺平'), 'Should keep dictionary word "躺平"');
+    assert(terms.includes('我') && terms.includes('很'), 'Should fall back to single chars');
+    assert(!terms.includes('很开') && !terms.includes('心想'), 'Should not emit accidental substrings');
+
+    // 非基本汉字区的文字不再被丢弃
+    const mixed = engine._tokenize('ok うれしい 𠀋');
+    assert(mixed.includes('ok') && mixed.includes('うれしい') && mixed.includes('𠀋'),
+        'Should keep latin, kana and extension-block characters');
+
+    const results = engine.search('我很开心', 5, 0);
+    assertEqual(results[0].kaomoji, 'ヽ(´▽`)/', 'Should rank the happy kaomoji first');
+
+    // 自定义分词器对象
+    const custom = new SearchEngine({ tokenizer: { tokenize: text => text.split(/\s+/) } });
+    custom.buildIndex(testKaomojis);
+    assertEqual(custom.search('无语 掀桌', 5, 0).length, 2, 'Custom tokenizer should be used');
+
+    // null 与省略相同，使用默认分词器
+    assert(createTokenizer(null) instanceof NgramTokenizer, 'createTokenizer(null) should fall back to the default');
+    assert(new SearchEngine({ tokenizer: null }).tokenizer instanceof NgramTokenizer, 'tokenizer: null should fall back to the default');
+
+    // 词典随索引重建而更新
+    const tokenizer = new MaxMatchTokenizer();
+    engine.setTokenizer(tokenizer);
+    assert(tokenizer.dictionary.has('翻白眼'), 'setTokenizer should inject the vocabulary');
+
+    log(`  Tokens: ${terms.join(' / ')}`);
+});
+
+// 测试 29: 增量更新索引
+suite.test('SearchEngine incremental index updates', () => {
+    const extra = {
+        kaomoji: '(๑•̀ㅂ•́)و✧',
+        keywords: ['加油', '1.2努力', '开心'],
+        weight: 1.2,
+        category: '鼓励'
+    };
+
+    // 对比增量更新与完整重建后的统计量
+    const assertSameIndex = (incremental, rebuilt, label) => {
+        assertEqual(incremental.documents.length, rebuilt.documents.length, `${label}: document count`);
+        assert(Math.abs(incremental.avgDocLength - rebuilt.avgDocLength) < 1e-9, `${label}: avgDocLength`);
+        assert(Math.abs(incremental.avgCharDocLength - rebuilt.avgCharDocLength) < 1e-9, `${label}: avgCharDocLength`);
+        assertEqual(incremental.idf.size, rebuilt.idf.size, `${label}: idf size`);
+        assertEqual(incremental.charIdf.size, rebuilt.charIdf.size, `${label}: charIdf size`);
+        rebuilt.idf.forEach((value, term) => {
+            assert(Math.abs(incremental.idf.get(term) - value) < 1e-9, `${label}: idf of "${term}"`);
+        });
+        rebuilt.charIdf.forEach((value, char) => {
+            assert(Math.abs(incremental.charIdf.get(char) - value) < 1e-9, `${label}: charIdf of "${char}"`);
+        });
+    };
+
+    const engine = new SearchEngine();
+    engine.buildIndex(testKaomojis);
+
+    // 添加
+    assert(engine.addDocument(extra), 'Should add document');
+    assert(!engine.addDocument(extra), 'Should reject duplicate kaomoji');
+    const rebuiltAdd = new SearchEngine();
+    rebuiltAdd.buildIndex([...testKaomojis, extra]);
+    assertSameIndex(engine, rebuiltAdd, 'add');
+
+    // 更新
+    const updated = { ...testKaomojis[0], keywords: ['无语', '尴尬'] };
+    assert(engine.updateDocument('= =', updated), 'Should update document');
+    assertEqual(engine.documents[0].kaomoji, '= =', 'Update should keep document position');
+    const rebuiltUpdate = new SearchEngine();
+    rebuiltUpdate.buildIndex([updated, ...testKaomojis.slice(1), extra]);
+    assertSameIndex(engine, rebuiltUpdate, 'update');
+    assert(!engine.idf.has('翻白眼'), 'Removed keyword should leave the IDF table');
+
+    // 删除
+    assert(engine.removeDocument(extra.kaomoji), 'Should remove document');
+    assert(!engine.removeDocument(extra.kaomoji), 'Should report missing document');
+    const rebuiltRemove = new SearchEngine();
+    rebuiltRemove.buildIndex([updated, ...testKaomojis.slice(1)]);
+    assertSameIndex(engine, rebuiltRemove, 'remove');
+
+    assertEqual(engine.search('尴尬', 5, 0)[0].kaomoji, '= =', 'Search should see updated keywords');
+
+    // 重复的 kaomoji 各自成为文档，删除时与 KaomojiDataManager 一样只删第一个
+    const copy = { ...extra, keywords: ['沮丧'], category: '消极情绪' };
+    const duplicated = new SearchEngine();
+    duplicated.buildIndex([...testKaomojis, extra, copy]);
+    assertEqual(duplicated.search('沮丧', 5, 0)[0].kaomoji, extra.kaomoji, 'Later copies should keep their keywords');
+    assertEqual(duplicated.search('加油', 5, 0, { categories: ['消极情绪'] }).length, 0, 'Copies should keep their own category');
+    assertEqual(duplicated.search('沮丧', 5, 0, { categories: ['消极情绪'] }).length, 1, 'Later copies should keep their category');
+    assert(duplicated.removeDocument(extra.kaomoji), 'Should remove the first copy');
+    const rebuiltCopy = new SearchEngine();
+    rebuiltCopy.buildIndex([...testKaomojis, copy]);
+    assertSameIndex(duplicated, rebuiltCopy, 'duplicates');
+    assertEqual(duplicated.search('沮丧', 5, 0)[0].kaomoji, extra.kaomoji, 'The other copy should remain');
+
+    log(`  Documents after updates: ${engine.documents.length}`);
+});
+
+// 测试 30: 倒排索引候选集与全量计分结果一致
+suite.test('SearchEngine inverted-index search matches full scan', () => {
+    const dataPath = path.join(__dirname, '../data/kaomojis.template.json');
+    const manager = new KaomojiDataManager();
+    manager.loadFromJSON(fs.readFileSync(dataPath, 'utf8'));
+
+    const engine = new SearchEngine();
+    engine.buildIndex(manager.getAllKaomojis());
+
+    const queries = ['开心', '我很开心', '无语 生气', '猫', '今天好累想躺平', '完全不存在的词'];
+    queries.forEach(query => {
+        // 全量计分作为基准
+        const queryTerms = engine._tokenize(query);
+        const queryChars = [...new Set(queryTerms.flatMap(term => term.split('')))];
+        const singleCharQueries = queryTerms.filter(term => term.length === 1);
+        // 模板数据中存在重复的颜文字，因此按分数序列而非颜文字逐一比较
+        const expected = engine.documents
+            .map(doc => engine._calculateBM25(queryTerms, queryChars, singleCharQueries, doc))
+            .filter(score => score > 0)
+            .sort((a, b) => b - a);
+
+        const results = engine.search(query, engine.documents.length, 0);
+        assertEqual(results.length, expected.length, `"${query}" should return every scoring document`);
+        results.forEach((r, i) => {
+            assert(Math.abs(expected[i] - r.score) < 1e-9, `"${query}" score #${i} should match`);
+        });
+
+        log(`  "${query}": ${results.length} of ${engine.documents.length} documents scored`);
+    });
+
+    // 倒排索引随增量更新同步
+    engine.removeDocument('= =');
+    assert(!engine.search('翻白眼', 5, 0).some(r => r.kaomoji === '= ='), 'Removed document should not be a candidate');
+});
+
+// 测试 31: 可复现的同分排序
+suite.test('Deterministic tie-breaking', () => {
+    // 五个完全同分的颜文字；(d) 的关键词权重 0.5 与颜文字权重 2 相抵，分数仍相同
+    const tied = ['(a)', '(b)', '(c)', '(d)', '(e)'].map(kaomoji => ({
+        kaomoji,
+        keywords: [kaomoji === '(d)' ? '0.5开心' : '开心'],
+        weight: kaomoji === '(d)' ? 2.0 : 1.0,
+        category: ''
+    }));
+
+    // 相同种子得到相同顺序
+    const order = seed => {
+        const engine = new SearchEngine({ random: createSeededRandom(seed) });
+        engine.buildIndex(tied);
+        return engine.search('开心', 5, 0).map(r => r.kaomoji).join(' ');
+    };
+    assertEqual(order(42), order(42), 'Same seed should give the same order');
+    assertEqual(order('chat-1'), order('chat-1'), 'String seeds should be supported');
+    assertEqual(hashString('chat-1'), hashString('chat-1'), 'hashString should be deterministic');
+    assert(hashString('chat-1') !== hashString('chat-2'), 'hashString should tell strings apart');
+
+    // stable：按数据顺序
+    const stable = new SearchEngine({ tieBreak: 'stable' });
+    stable.buildIndex(tied);
+    assertEqual(stable.search('开心', 5, 0).map(r => r.kaomoji).join(' '), '(a) (b) (c) (d) (e)', 'Stable should keep data order');
+    assertEqual(stable.exactMatch('开心')[0].kaomoji, '(a)', 'exactMatch should honor tieBreak');
+
+    // weight：同分时按颜文字权重，再按数据顺序
+    const weighted = new SearchEngine();
+    weighted.buildIndex(tied);
+    const weightOrder = weighted.search('开心', 5, 0, { tieBreak: 'weight' }).map(r => r.kaomoji).join(' ');
+    assertEqual(weightOrder, '(d) (a) (b) (c) (e)', 'Weight should break ties before data order');
+
+    // replaceText 的 seed 选项
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(tied);
+    const input = '[kaomoji:开心] [kaomoji:开心] [kaomoji:开心]';
+    const first = replacer.replaceText(input, { seed: 7 }).text;
+    for (let i = 0; i < 5; i++) {
+        assertEqual(replacer.replaceText(input, { seed: 7 }).text, first, 'Seeded replaceText should be reproducible');
+    }
+    assertEqual(replacer.replaceText(input, { tieBreak: 'weight' }).text, '(d) (d) (d)', 'tieBreak option should reach the search engine');
+
+    let threw = false;
+    try {
+        new SearchEngine({ tieBreak: 'unknown' });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown tieBreak mode should throw');
+
+    log(`  Seed 42 order: ${order(42)}`);
+    log(`  Seeded replacement: ${first}`);
+});
+
+// 测试 32: 得分解释
+suite.test('SearchEngine score explanation', () => {
+    const testData = [
+        {
+            kaomoji: "(*^_^*)",
+            keywords: ["1.5开心", "天气", "害羞"],
+            weight: 1.2,
+            category: ""
+        },
+        {
+            kaomoji: "(^_^)",
+            keywords: ["开心", "晴朗"],
+            weight: 1.0,
+            category: ""
+        }
+    ];
+
+    const engine = new SearchEngine();
+    engine.buildIndex(testData);
+
+    const explanation = engine.explain('开心 天', '(*^_^*)');
+    const result = engine.search('开心 天', 5, 0).find(r => r.kaomoji === '(*^_^*)');
+
+    assert(Math.abs(explanation.score - result.score) < 1e-9, 'Explained score should equal search score');
+    assert(explanation.wholeWord.terms.some(t => t.term === '开心'), 'Should list whole-word contribution of "开心"');
+    assert(explanation.singleCharInMultiChar.terms.some(t => t.term === '天' && t.keywords.includes('天气')),
+        'Should list single-char-in-multi-char contribution of "天"');
+    assertEqual(explanation.keywordWeight, 1.5, 'Should expose keyword weight multiplier');
+    assertEqual(explanation.docWeight, 1.2, 'Should expose kaomoji weight multiplier');
+
+    // 分数可由明细重新组合得到
+    const recombined = (explanation.wholeWord.score + explanation.singleCharInMultiChar.score
+        + explanation.char.score * explanation.char.charWeight) * explanation.keywordWeight * explanation.docWeight;
+    assert(Math.abs(recombined - explanation.score) < 1e-9, 'Breakdown should recombine into the score');
+    assert(explanation.lengthNormalization.wholeWord > 0, 'Should expose length normalization');
+
+    // search 的 explain 选项
+    const explained = engine.search('开心 天', 5, 0, { explain: true });
+    assert(explained.every(r => r.explanation && r.explanation.kaomoji === r.kaomoji), 'Each result should carry an explanation');
+    assert(!engine.search('开心', 5, 0)[0].explanation, 'Explanation should be opt-in');
+
+    assertEqual(engine.explain('开心', '(不存在)'), null, 'Unknown kaomoji should return null');
+
+    log(`  Score ${explanation.score.toFixed(3)} = (${explanation.wholeWord.score.toFixed(3)} + ${explanation.singleCharInMultiChar.score.toFixed(3)} + ${explanation.char.score.toFixed(3)} × ${explanation.char.charWeight}) × ${explanation.keywordWeight} × ${explanation.docWeight}`);
+});
+
+// 测试 33: 索引快照导出与恢复
+suite.test('SearchEngine index snapshot export/import', () => {
+    const data = [
+        ...testKaomojis,
+        { kaomoji: '(=^･ω･^=)', keywords: ['1.5猫', '0.8卖萌', '可爱'], weight: 1.3, category: '动物' }
+    ];
+
+    const engine = new SearchEngine();
+    engine.buildIndex(data);
+
+    // 快照可以经过 JSON 往返
+    const json = JSON.stringify(engine.exportIndex({ sourceHash: 'test' }));
+    const snapshot = JSON.parse(json);
+    assertEqual(snapshot.version, 1, 'Snapshot should carry a version stamp');
+    assertEqual(snapshot.meta.sourceHash, 'test', 'Snapshot should keep meta');
+
+    const restored = new SearchEngine({ tieBreak: 'stable' });
+    restored.importIndex(json);
+
+    assertEqual(restored.documents.length, engine.documents.length, 'Should restore all documents');
+    assertEqual(restored.avgDocLength, engine.avgDocLength, 'Should restore avgDocLength');
+    assertEqual(restored.avgCharDocLength, engine.avgCharDocLength, 'Should restore avgCharDocLength');
+    assertEqual(restored.documents[4].keywordWeights.get('猫'), 1.5, 'Should restore keyword weights');
+    assertEqual(restored.documents[4].category, '动物', 'Should restore category');
+
+    ['我很开心', '猫 可爱', '无语', '开'].forEach(query => {
+        const expected = engine.search(query, 10, 0, { tieBreak: 'stable' });
+        const actual = restored.search(query, 10, 0);
+        assertEqual(actual.map(r => r.kaomoji).join(' '), expected.map(r => r.kaomoji).join(' '), `"${query}" ranking should match`);
+        actual.forEach((r, i) => {
+            assert(Math.abs(r.score - expected[i].score) < 1e-9, `"${query}" scores should match`);
+        });
+    });
+
+    // 恢复后仍可增量更新
+    assert(restored.addDocument({ kaomoji: '(T_T)', keywords: ['哭'] }), 'Restored index should accept updates');
+    assertEqual(restored.search('哭', 5, 0)[0].kaomoji, '(T_T)', 'Added document should be searchable');
+
+    // 版本不匹配时拒绝导入
+    let threw = false;
+    try {
+        restored.importIndex({ ...snapshot, version: 999 });
+    } catch (error) {
+        threw = error.message.includes('version');
+    }
+    assert(threw, 'Should reject snapshots with another version');
+
+    log(`  Snapshot size: ${(json.length / 1024).toFixed(2)} KB`);
+});
+
+// 测试 34: 必选与排除关键词
+suite.test('Required and excluded keywords', () => {
+    const testData = [
+        { kaomoji: '(≧▽≦)', keywords: ['开心', '大笑'], weight: 1.0, category: '' },
+        { kaomoji: '(ᗒᗨᗕ)', keywords: ['开心', '哭', '喜极而泣'], weight: 2.0, category: '' },
+        { kaomoji: '(=^･ω･^=)', keywords: ['猫', '卖萌'], weight: 1.0, category: '' },
+        { kaomoji: '(=ↀωↀ=)', keywords: ['小猫', '开心'], weight: 1.0, category: '' }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 结构化查询
+    const excluded = engine.search({ should: '开心', mustNot: '哭' }, 5, 0);
+    assert(excluded.length > 0, 'Should still find matches');
+    assert(!excluded.some(r => r.kaomoji === '(ᗒᗨᗕ)'), 'mustNot should exclude documents');
+
+    const required = engine.search({ must: ['猫'], should: ['开心'] }, 5, 0);
+    assert(required.every(r => ['(=^･ω･^=)', '(=ↀωↀ=)'].includes(r.kaomoji)), 'must should keep only matching documents');
+    assertEqual(required[0].kaomoji, '(=ↀωↀ=)', 'should terms should still rank the candidates');
+
+    // 标记语法
+    const result = replacer.replaceText('[kaomoji:开心,-哭] [kaomoji:+猫,开心]', { tieBreak: 'stable' });
+    assertEqual(result.text, '(≧▽≦) (=ↀωↀ=)', 'Markers should honor +/- prefixes');
+    assert(Array.isArray(result.replacements[0].query.mustNot), 'Replacement should record the structured query');
+    assertEqual(result.replacements[0].keywords.join(','), '开心,-哭', 'Replacement should keep raw keywords');
+
+    // 没有前缀时保持原有行为
+    assertEqual(replacer.replaceText('[kaomoji:开心]').replacements[0].query, '开心', 'Plain markers should use text queries');
+
+    log(`  [kaomoji:开心,-哭] [kaomoji:+猫,开心] -> ${result.text}`);
+});
+
+// 测试 35: 分类限定搜索与标记
+suite.test('Category-scoped search and markers', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '高兴'], weight: 1.5, category: '表情' },
+        { kaomoji: '(=^･ω･^=)', keywords: ['开心', '猫'], weight: 1.0, category: '动物' },
+        { kaomoji: 'U・ᴥ・U', keywords: ['开心', '狗'], weight: 1.0, category: '动物' },
+        { kaomoji: '(ﾉ≧∀≦)ﾉ', keywords: ['开心', '欢呼'], weight: 1.2, category: '动作' }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    const animals = engine.search('开心', 5, 0, { categories: '动物' });
+    assertEqual(animals.length, 2, 'Should only return the category');
+    assert(animals.every(r => r.category === '动物'), 'All results should be in the category');
+
+    const excluded = engine.search('开心', 5, 0, { excludeCategories: ['动物', '表情'] });
+    assertEqual(excluded.map(r => r.kaomoji).join(' '), '(ﾉ≧∀≦)ﾉ', 'Should drop excluded categories');
+
+    assert(engine.exactMatch('开心', { categories: ['动作'] }).every(r => r.category === '动作'), 'exactMatch should honor categories');
+
+    // 标记语法
+    const result = replacer.replaceText('[kaomoji@动物:开心,猫] [kaomoji:开心]');
+    assertEqual(result.replacements[0].category, '动物', 'Should parse the marker category');
+    assertEqual(result.replacements[0].kaomoji, '(=^･ω･^=)', 'Should pick from the category');
+    assertEqual(result.replacements[1].kaomoji, 'ヽ(´▽`)/', 'Unscoped markers should search everything');
+    assertEqual(result.replacements[1].category, null, 'Unscoped markers have no category');
+
+    const notFound = replacer.replaceText('[kaomoji@植物:开心]');
+    assertEqual(notFound.failureCount, 1, 'Unknown category should find nothing');
+
+    // 选项中的分类作用于所有标记
+    const scoped = replacer.replaceText('[kaomoji:开心]', { categories: ['动作'] });
+    assertEqual(scoped.text, '(ﾉ≧∀≦)ﾉ', 'categories option should apply to all markers');
+
+    assertEqual(replacer.preview('[kaomoji@动物:狗]')[0].bestMatch.kaomoji, 'U・ᴥ・U', 'Preview should honor marker category');
+
+    log(`  [kaomoji@动物:开心,猫] -> ${result.replacements[0].kaomoji}`);
+});
+
+// 测试 36: 标记内联选项
+suite.test('Per-marker inline options', () => {
+    const testData = [
+        { kaomoji: '(a)', keywords: ['开心', '害羞'], weight: 1.0 },
+        { kaomoji: '(b)', keywords: ['开心'], weight: 1.0 },
+        { kaomoji: '(c)', keywords: ['害羞'], weight: 1.0 },
+        { kaomoji: '(d)', keywords: ['无语'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    const result = replacer.replaceText(
+        '[kaomoji:开心,害羞|n=2|strategy=all] [kaomoji:开心,害羞] [kaomoji:无语|min=1000]',
+        { tieBreak: 'stable' }
+    );
+
+    const [all, best, strict] = result.replacements;
+    assertEqual(all.kaomoji.split(' ').length, 2, 'n=2 with strategy=all should output two kaomojis');
+    assertEqual(all.keywords.join(','), '开心,害羞', 'Options should not leak into keywords');
+    assertEqual(all.options.strategy, 'all', 'Parsed options should be reported');
+    assertEqual(best.kaomoji, '(a)', 'Markers without options use call defaults');
+    assert(strict.notFound, 'min should raise the threshold for that marker only');
+    assertEqual(result.successCount, 2, 'Other markers are unaffected');
+
+    // 无效选项：记录错误，标记仍按默认方式替换
+    const invalid = replacer.replaceText('[kaomoji:开心,害羞|n=0|strategy=nope|foo=1|bar]', { tieBreak: 'stable' });
+    const entry = invalid.replacements[0];
+    assertEqual(entry.kaomoji, '(a)', 'Invalid options should fall back to defaults');
+    assertEqual(entry.optionErrors.length, 4, 'Each invalid option should be reported');
+    assertEqual(Object.keys(entry.options).length, 0, 'Invalid options should not be applied');
+
+    const preview = replacer.preview('[kaomoji:开心|n=1]');
+    assertEqual(preview[0].matches.length, 1, 'Preview should honor inline options');
+
+    log(`  ${all.original} -> ${all.kaomoji}`);
+    log(`  optionErrors: ${entry.optionErrors.join('; ')}`);
+});
+
+// 测试 37: 重复抑制历史
+suite.test('Repetition history', () => {
+    const testData = [
+        { kaomoji: '(a)', keywords: ['开心'], weight: 1.3 },
+        { kaomoji: '(b)', keywords: ['开心'], weight: 1.2 },
+        { kaomoji: '(c)', keywords: ['开心'], weight: 1.1 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 没有历史时每次都是最佳结果
+    assertEqual(replacer.replaceText('[kaomoji:开心] [kaomoji:开心]').text, '(a) (a)', 'Without history best repeats');
+
+    // skip + message 作用范围：同一条消息内不重复，跨调用不保留
+    const perMessage = new RepetitionHistory({ mode: 'skip', scope: 'message' });
+    assertEqual(replacer.replaceText('[kaomoji:开心] [kaomoji:开心] [kaomoji:开心]', { history: perMessage }).text,
+        '(a) (b) (c)', 'Message scope should avoid repeats within a call');
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { history: perMessage }).text, '(a)', 'Message scope should not persist');
+
+    // 全部用过时 skip 仍保留原结果
+    const used = new RepetitionHistory({ mode: 'skip' });
+    ['(a)', '(b)', '(c)'].forEach(k => used.record(k));
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { history: used }).text, '(a)', 'Skip should fall back when all are used');
+
+    // penalty + chat 作用范围：按 chatId 分别记录，跨调用共享
+    const history = new RepetitionHistory({ window: 2, penalty: 0.5, scope: 'chat' });
+    replacer.setHistory(history);
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { chatId: 'x' }).text, '(a)', 'First use is the best match');
+    const second = replacer.replaceText('[kaomoji:开心]', { chatId: 'x' });
+    assertEqual(second.text, '(b)', 'Recently used kaomoji should be penalized');
+    assert(second.replacements[0].matches.some(m => m.repeated), 'Penalized matches should be flagged');
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { chatId: 'y' }).text, '(a)', 'Other chats have their own history');
+    assertEqual(history.getRecent('x').join(' '), '(a) (b)', 'History should record in order');
+
+    // 窗口大小为 2：第三次后 (a) 滑出窗口
+    replacer.replaceText('[kaomoji:开心]', { chatId: 'x' });
+    assertEqual(history.getRecent('x').join(' '), '(b) (c)', 'History should be trimmed to the window');
+
+    // 导出 / 导入
+    const snapshot = JSON.parse(JSON.stringify(history.export()));
+    const restored = new RepetitionHistory({ window: 2, scope: 'chat' });
+    restored.import(snapshot);
+    assertEqual(restored.getRecent('x').join(' '), '(b) (c)', 'Imported history should match');
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { chatId: 'x', history: restored }).text, '(a)', 'Imported history should steer selection');
+
+    // global 作用范围忽略 chatId
+    const global = new RepetitionHistory({ scope: 'global' });
+    global.record('(a)', 'x');
+    assertEqual(global.getRecent('y').join(' '), '(a)', 'Global scope should share history');
+
+    // history: null 本次禁用
+    assertEqual(replacer.replaceText('[kaomoji:开心]', { chatId: 'x', history: null }).text, '(a)', 'history: null disables history');
+
+    let threw = false;
+    try { new RepetitionHistory({ mode: 'nope' }); } catch { threw = true; }
+    assert(threw, 'Unknown mode should throw');
+
+    log(`  chat x history: ${history.getRecent('x').join(' ')}`);
+});
+
+// 测试 38: 按分数加权随机策略
+suite.test('Weighted-random strategy', () => {
+    const testData = [
+        { kaomoji: '(a)', keywords: ['开心'], weight: 3.0 },
+        { kaomoji: '(b)', keywords: ['开心'], weight: 1.0 },
+        { kaomoji: '(c)', keywords: ['无语'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    const text = Array(200).fill('[kaomoji:开心]').join('');
+    const count = (result, kaomoji) => result.replacements.filter(r => r.kaomoji === kaomoji).length;
+
+    // temperature = 1：概率与分数成正比（(a) 的分数是 (b) 的 3 倍）
+    const weighted = replacer.replaceText(text, { strategy: 'weighted', seed: 7 });
+    const a = count(weighted, '(a)');
+    assert(a > 120 && a < 190, `(a) should be picked about 3/4 of the time, got ${a}`);
+    assert(count(weighted, '(b)') > 0, 'Lower-scored matches should still be picked');
+    assertEqual(weighted.successCount, 200, 'All markers should be replaced');
+
+    // 相同种子可复现
+    assertEqual(replacer.replaceText(text, { strategy: 'weighted', seed: 7 }).text, weighted.text, 'Same seed should reproduce');
+
+    // 低温度接近总选最高分，高温度接近均匀
+    const cold = count(replacer.replaceText(text, { strategy: 'weighted', temperature: 0.05, seed: 7 }), '(a)');
+    const hot = count(replacer.replaceText(text, { strategy: 'weighted', temperature: 100, seed: 7 }), '(a)');
+    assertEqual(cold, 200, 'Low temperature should always pick the best');
+    assert(hot > 70 && hot < 130, `High temperature should be near uniform, got ${hot}`);
+
+    // 内联选项
+    const inline = replacer.replaceText('[kaomoji:开心|strategy=weighted|temp=0.01]', { seed: 1 });
+    assertEqual(inline.text, '(a)', 'Inline strategy and temp should apply');
+
+    let threw = false;
+    try { replacer.replaceText('[kaomoji:开心]', { strategy: 'weighted', temperature: 0 }); } catch { threw = true; }
+    assert(threw, 'Non-positive temperature should throw');
+
+    log(`  weighted picks (a): ${a}/200, cold: ${cold}/200, hot: ${hot}/200`);
+});
+
+// 测试 39: 策略注册表
+suite.test('Strategy plugin registry', () => {
+    const testData = [
+        { kaomoji: '(＾▽＾)', keywords: ['开心'], weight: 1.2, category: '表情' },
+        { kaomoji: ':D', keywords: ['开心'], weight: 1.1, category: '文字' },
+        { kaomoji: '(=^･ω･^=)', keywords: ['开心'], weight: 1.0, category: '动物' }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    const builtIns = KaomojiReplacer.getStrategies();
+    ['first', 'best', 'all', 'weighted'].forEach(name => {
+        assert(builtIns.includes(name), `Built-in strategy ${name} should be registered`);
+    });
+
+    // 返回单个匹配结果
+    let seen = null;
+    KaomojiReplacer.registerStrategy('test-shortest', (marker, keywords, matches, context) => {
+        seen = { marker, keywords, context };
+        return matches.reduce((a, b) => (b.kaomoji.length < a.kaomoji.length ? b : a));
+    });
+    const shortest = replacer.replaceText('[kaomoji:开心]', { strategy: 'test-shortest', chatId: 'c1' });
+    assertEqual(shortest.text, ':D', 'Custom strategy should pick the shortest');
+    assertEqual(shortest.replacements[0].selected.kaomoji, ':D', 'Selected match should be recorded');
+    assertEqual(seen.keywords.join(','), '开心', 'Strategy should receive parsed keywords');
+    assertEqual(seen.marker.match, '[kaomoji:开心]', 'Strategy should receive the marker');
+    assertEqual(seen.context.chatId, 'c1', 'Strategy should receive the context');
+    assert(seen.context.replacer === replacer, 'Context should expose the replacer');
+
+    // 返回字符串，配合内联选项使用
+    KaomojiReplacer.registerStrategy('test-wrap', (marker, keywords, matches) => `「${matches[0].kaomoji}」`);
+    assertEqual(replacer.replaceText('[kaomoji:开心|strategy=test-wrap]', { tieBreak: 'stable' }).text, '「(＾▽＾)」',
+        'Inline strategy should resolve registered strategies');
+
+    // 返回 null 按未找到处理
+    KaomojiReplacer.registerStrategy('test-none', () => null);
+    const none = replacer.replaceText('[kaomoji:开心]', { strategy: 'test-none' });
+    assertEqual(none.failureCount, 1, 'Declined selection should count as not found');
+    assertEqual(none.text, '[kaomoji:开心]', 'Declined selection should keep the marker');
+
+    let threw = false;
+    try { KaomojiReplacer.registerStrategy('bad', 'not a function'); } catch { threw = true; }
+    assert(threw, 'Non-function strategy should throw');
+
+    log(`  strategies: ${KaomojiReplacer.getStrategies().join(', ')}`);
+});
+
+// 测试 40: 流式替换
+suite.test('Streaming replacement', async () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心'], weight: 1.0 },
+        { kaomoji: '= =', keywords: ['无语'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 标记被拆在多个块中
+    const stream = replacer.createStream();
+    const outputs = ['今天很[kao', 'moji:开', '心]！真是[', 'kaomoji:无语]', '[不是标记] end'].map(c => stream.write(c));
+    assertEqual(outputs[0], '今天很', 'Plain text should be emitted immediately');
+    assertEqual(outputs[1], '', 'Partial markers should be buffered');
+    assertEqual(outputs[2], 'ヽ(´▽`)/！真是', 'Kaomoji should be emitted as soon as the marker closes');
+    assertEqual(outputs[4], '[不是标记] end', 'Non-marker brackets should pass through');
+    assertEqual(stream.end(), '', 'Nothing should remain');
+    assertEqual(outputs.join(''), '今天很ヽ(´▽`)/！真是= =[不是标记] end', 'Output should match replaceText');
+    assertEqual(stream.successCount, 2, 'Should count replacements');
+    assertEqual(stream.replacements[1].offset, '今天很[kaomoji:开心]！真是'.length, 'Offsets should be stream positions');
+
+    // 逐字符写入与整体替换结果一致
+    const text = '前缀[kaomoji:开心]中间[KAOMOJI:无语]后缀[kaomoji:没有]';
+    const charStream = replacer.createStream();
+    const streamed = Array.from(text).map(c => charStream.write(c)).join('') + charStream.end();
+    assertEqual(streamed, replacer.replaceText(text).text, 'Char-by-char stream should match replaceText');
+
+    // 未闭合的标记
+    const keep = replacer.createStream();
+    assertEqual(keep.write('结尾[kaomoji:开') + keep.end(), '结尾[kaomoji:开', 'Unterminated marker should be kept by default');
+    assert(keep.replacements[0].unterminated, 'Unterminated marker should be reported');
+    const drop = replacer.createStream({ keepOriginalOnNotFound: false });
+    assertEqual(drop.write('结尾[kaomoji:开') + drop.end(), '结尾', 'Unterminated marker should be dropped when configured');
+
+    // 结尾的定界符前缀在结束时作为普通文本输出
+    const partial = replacer.createStream();
+    assertEqual(partial.write('a[kao'), 'a', 'Delimiter prefix should be held');
+    assertEqual(partial.end(), '[kao', 'Delimiter prefix should be flushed as text');
+
+    // 超过最大长度不再等待
+    const long = replacer.createStream({ maxMarkerLength: 20 });
+    assertEqual(long.write('[kaomoji:' + 'x'.repeat(30)), '[kaomoji:' + 'x'.repeat(30), 'Overlong candidates should be released');
+
+    // 不支持的选项
+    ['convertEmoji', 'autoInsert'].forEach(option => {
+        let threw = false;
+        try {
+            replacer.createStream({ [option]: true });
+        } catch (e) {
+            threw = true;
+        }
+        assert(threw, `${option} should be rejected by streams`);
+    });
+    assertEqual(replacer.createStream({ convertEmoji: false, autoInsert: false }).end('[kaomoji:开心]'), replacer.replaceText('[kaomoji:开心]').text,
+        'Disabled convertEmoji / autoInsert should be accepted');
+
+    // WHATWG TransformStream
+    if (typeof TransformStream !== 'undefined') {
+        const { readable, writable } = replacer.createStream().toTransformStream();
+        const writer = writable.getWriter();
+        const reading = (async () => {
+            let out = '';
+            for await (const chunk of readable) out += chunk;
+            return out;
+        })();
+        for (const chunk of ['好[kaomoji', ':开心', ']']) await writer.write(chunk);
+        await writer.close();
+        assertEqual(await reading, '好ヽ(´▽`)/', 'TransformStream should replace markers');
+    }
+
+    // Node.js Transform（Buffer 输入，多字节字符被拆开）
+    const transform = await replacer.createStream().toNodeTransform();
+    const bytes = Buffer.from('好[kaomoji:无语]');
+    let nodeOut = '';
+    transform.on('data', chunk => { nodeOut += chunk; });
+    const finished = new Promise(resolve => transform.on('end', resolve));
+    for (let i = 0; i < bytes.length; i += 2) transform.write(bytes.subarray(i, i + 2));
+    transform.end();
+    await finished;
+    assertEqual(nodeOut, '好= =', 'Node Transform should decode split bytes and replace markers');
+
+    log(`  streamed: ${streamed}`);
+});
+
+// 测试 41: 跳过代码块、注释与链接中的标记
+suite.test('Markdown- and code-aware replacement', () => {
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.setConfig({ markerSyntaxes: ['bracket', 'mustache'] });
+    replacer.loadKaomojis([{ kaomoji: 'ヽ(´▽`)/', keywords: ['开心', 'happy'], weight: 1.0 }]);
+
+    const text = [
+        '用法：`[kaomoji:开心]` 会被替换[kaomoji:开心]',
+        '```',
+        '[kaomoji:开心]',
+        '```',
+        '<!-- [kaomoji:开心] -->',
+        '见 https://example.com/?q={{kaomoji:happy}} 和 ``a`[kaomoji:开心]``'
+    ].join('\n');
+
+    // 默认不跳过
+    assertEqual(replacer.replaceText(text).successCount, 6, 'Without skipRegions all markers are replaced');
+
+    const result = replacer.replaceText(text, { skipRegions: ['markdown-code', 'html-comments', 'urls'] });
+    assertEqual(result.successCount, 1, 'Only the plain marker should be replaced');
+    assertEqual(result.skipped.length, 5, 'Skipped markers should be reported');
+    assertEqual(result.skipped.map(s => s.region).join(','),
+        'markdown-code,markdown-code,html-comments,urls,markdown-code', 'Skipped markers should name their region');
+    assert(result.text.includes('会被替换ヽ(´▽`)/'), 'Plain marker should be replaced');
+    assertEqual(result.text.split('[kaomoji:开心]').length - 1, 4, 'Skipped markers should stay untouched');
+    assert(result.text.includes('{{kaomoji:happy}}'), 'Marker inside the URL should stay untouched');
+    assertEqual(result.skipped[0].offset, text.indexOf('[kaomoji:开心]'), 'Skipped offset should be reported');
+
+    // 行内代码不跨越空行
+    const paragraphs = replacer.replaceText("don't use ` here [kaomoji:开心]\n\nsecond para ` and [kaomoji:开心]", { skipRegions: ['markdown-code'] });
+    assertEqual(paragraphs.successCount, 2, 'Inline code should not span a blank line');
+
+    // 链接在中文或全角标点处结束
+    const url = replacer.replaceText('看这个https://example.com，真好[kaomoji:开心]', { skipRegions: ['urls'] });
+    assertEqual(url.successCount, 1, 'URLs should stop at full-width punctuation');
+    assertEqual(replacer.replaceText('见https://example.com/路径[kaomoji:开心]', { skipRegions: ['urls'] }).successCount, 1,
+        'URLs should stop at non-ASCII characters');
+
+    // 方括号、未配对的右括号与末尾标点不属于链接
+    assertEqual(replacer.replaceText('[文档](https://a.com)[kaomoji:开心]', { skipRegions: ['urls'] }).text,
+        '[文档](https://a.com)ヽ(´▽`)/', 'Markdown link should end before the closing parenthesis');
+    assertEqual(replacer.replaceText('see https://a.com.[kaomoji:happy]', { skipRegions: ['urls'] }).text,
+        'see https://a.com.ヽ(´▽`)/', 'Trailing punctuation should not belong to the URL');
+    const urlOf = text => findSkipRegions(text, ['urls']).map(r => text.slice(r.start, r.end)).join(' ');
+    assertEqual(urlOf('见 https://a.com/wiki/A_(b).'), 'https://a.com/wiki/A_(b)', 'Balanced parentheses should stay inside the URL');
+    assertEqual(urlOf('(见 https://a.com/x)!'), 'https://a.com/x', 'Unbalanced closing parenthesis should end the URL');
+
+    // 单个预设
+    const codeOnly = replacer.replaceText(text, { skipRegions: ['markdown-code'] });
+    assertEqual(codeOnly.skipped.length, 3, 'Only code regions should be skipped');
+
+    // 未闭合的围栏代码块延续到文末
+    const unclosed = replacer.replaceText('a[kaomoji:开心]\n~~~\n[kaomoji:开心]', { skipRegions: ['markdown-code'] });
+    assertEqual(unclosed.successCount, 1, 'Unclosed fences should extend to the end');
+
+    // 自定义正则与配置默认值
+    replacer.setConfig({ skipRegions: [/<pre>[\s\S]*?<\/pre>/g] });
+    const custom = replacer.replaceText('<pre>[kaomoji:开心]</pre>[kaomoji:开心]');
+    assertEqual(custom.skipped[0].region, 'custom', 'Custom regions should be reported as custom');
+    assertEqual(custom.successCount, 1, 'Config skipRegions should be the default');
+    assertEqual(replacer.preview('<pre>[kaomoji:开心]</pre>').length, 0, 'Preview should honor skipRegions');
+
+    let threw = false;
+    try { replacer.replaceText('x', { skipRegions: ['nope'] }); } catch { threw = true; }
+    assert(threw, 'Unknown preset should throw');
+
+    log(`  skipped: ${result.skipped.length}, replaced: ${result.successCount}`);
+});
+
+// 测试 42: 转义标记
+suite.test('Escape syntax for literal markers', () => {
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis([{ kaomoji: 'ヽ(´▽`)/', keywords: ['开心'], weight: 1.0 }]);
+
+    const result = replacer.replaceText('写 \\[kaomoji:开心] 得到 [kaomoji:开心]');
+    assertEqual(result.text, '写 [kaomoji:开心] 得到 ヽ(´▽`)/', 'Escaped marker should be output literally');
+    assertEqual(result.escaped.length, 1, 'Escaped markers should be reported');
+    assertEqual(result.successCount, 1, 'Escaped markers are not replacements');
+
+    // 两个转义字符输出一个字面量，标记照常替换；三个则输出一个字面量加字面量标记
+    assertEqual(replacer.replaceText('\\\\[kaomoji:开心]').text, '\\ヽ(´▽`)/', 'Double escape should collapse');
+    assertEqual(replacer.replaceText('\\\\\\[kaomoji:开心]').text, '\\[kaomoji:开心]', 'Triple escape should escape');
+    assertEqual(replacer.replaceText('a\\b').text, 'a\\b', 'Escape chars elsewhere are untouched');
+
+    // preview 忽略被转义的标记
+    assertEqual(replacer.preview('\\[kaomoji:开心] [kaomoji:开心]').length, 1, 'Preview should skip escaped markers');
+
+    // 流式替换：转义字符与标记被拆在不同块中
+    const stream = replacer.createStream();
+    const streamed = ['写 \\', '[kao', 'moji:开心] 和 [kaomoji:开心]'].map(c => stream.write(c)).join('') + stream.end();
+    assertEqual(streamed, '写 [kaomoji:开心] 和 ヽ(´▽`)/', 'Stream should honor escapes split across chunks');
+
+    // 自定义与关闭转义字符
+    replacer.setConfig({ escapeChar: '~' });
+    assertEqual(replacer.replaceText('~[kaomoji:开心]').text, '[kaomoji:开心]', 'Custom escape char should work');
+    replacer.setConfig({ escapeChar: null });
+    assertEqual(replacer.replaceText('\\[kaomoji:开心]').text, '\\ヽ(´▽`)/', 'Null escape char disables escaping');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 43: 多种标记语法
+suite.test('Multiple simultaneous marker syntaxes', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心'], weight: 1.0, category: '表情' },
+        { kaomoji: '(=^･ω･^=)', keywords: ['开心', '猫'], weight: 1.0, category: '动物' },
+        { kaomoji: '= =', keywords: ['无语'], weight: 1.0, category: '表情' }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 默认只识别 bracket
+    const text = '[kaomoji:无语] {{kaomoji:无语}} :kao-无语: <kaomoji>无语</kaomoji>';
+    assertEqual(replacer.replaceText(text).successCount, 1, 'Only bracket markers by default');
+
+    replacer.setConfig({ markerSyntaxes: ['bracket', 'mustache', 'colon', 'xml'] });
+    const result = replacer.replaceText(text);
+    assertEqual(result.text, '= = = = = = = =', 'All syntaxes should be replaced in one pass');
+    assertEqual(result.replacements.map(r => r.syntax).join(','), 'bracket,mustache,colon,xml', 'Syntax should be recorded');
+
+    // 各语法的分类与选项写法
+    const scoped = replacer.replaceText(
+        '{{kaomoji@动物:开心}} :kao@动物-开心: <kaomoji category="动物" n="1" bad="x">开心</kaomoji> {{kaomoji:开心|strategy=all|n=2}}',
+        { tieBreak: 'stable' }
+    );
+    assertEqual(scoped.replacements[0].kaomoji, '(=^･ω･^=)', 'Mustache category should apply');
+    assertEqual(scoped.replacements[1].kaomoji, '(=^･ω･^=)', 'Colon category should apply');
+    assertEqual(scoped.replacements[2].category, '动物', 'XML category attribute should apply');
+    assertEqual(scoped.replacements[2].options.topK, 1, 'XML attributes should be parsed as options');
+    assertEqual(scoped.replacements[2].optionErrors.length, 1, 'Unknown XML attributes should be reported');
+    assertEqual(scoped.replacements[3].kaomoji.split(' ').length, 2, 'Inline options should work in mustache');
+
+    // 重叠：起点靠前的优先
+    const overlap = replacer.replaceText('[kaomoji:{{kaomoji:无语}}]');
+    assertEqual(overlap.replacements.length, 1, 'Overlapping matches should be resolved');
+    assertEqual(overlap.replacements[0].syntax, 'bracket', 'Earlier match should win');
+
+    // 自定义语法
+    replacer.setConfig({
+        markerSyntaxes: ['bracket', { name: 'emote', pattern: /\(emote:(?<keywords>[^)]+)\)/g, keywordSeparator: '/', open: '(emote:', close: ')' }]
+    });
+    const custom = replacer.replaceText('(emote:开心/猫)');
+    assertEqual(custom.text, '(=^･ω･^=)', 'Custom syntax should use its own separator');
+    assertEqual(custom.replacements[0].keywords.join(','), '开心,猫', 'Custom separator should split keywords');
+    assertEqual(replacer.preview('(emote:无语)')[0].syntax, 'emote', 'Preview should report the syntax');
+
+    // 流式替换使用各语法的定界符
+    const stream = replacer.createStream();
+    const streamed = ['a(emo', 'te:无', '语)b[kao', 'moji:无语]'].map(c => stream.write(c)).join('') + stream.end();
+    assertEqual(streamed, 'a= =b= =', 'Stream should buffer every syntax');
+
+    let threw = false;
+    try { replacer.setConfig({ markerSyntaxes: ['nope'] }); replacer.replaceText('x'); } catch { threw = true; }
+    assert(threw, 'Unknown syntax should throw');
+
+    log(`  ${text} -> ${result.text}`);
+});
+
+// 测试 44: 把 kaomoji 还原为标记
+suite.test('Unreplace kaomojis back into markers', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['1.5开心', '高兴', '快乐'], weight: 1.0, category: '表情' },
+        { kaomoji: '= =', keywords: ['无语', '黑脸'], weight: 1.0, category: '表情' },
+        { kaomoji: '= =b', keywords: ['尴尬'], weight: 1.0, category: '表情' },
+        { kaomoji: 'x', keywords: ['单字'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 识别模式：最长优先、从左到右
+    const detected = replacer.unreplace('今天ヽ(´▽`)/，真是= =b 和 = =，x');
+    assertEqual(detected.text, '今天[kaomoji:开心,高兴]，真是[kaomoji:尴尬] 和 [kaomoji:无语,黑脸]，x',
+        'Should rewrite known kaomojis with primary keywords');
+    assertEqual(detected.replacements.length, 3, 'Should report each rewrite');
+    assertEqual(detected.replacements[1].offset, '今天ヽ(´▽`)/，真是'.length, 'Should report offsets');
+
+    const scoped = replacer.unreplace('= =', { keywordCount: 1, includeCategory: true });
+    assertEqual(scoped.text, '[kaomoji@表情:无语]', 'Should honor keywordCount and includeCategory');
+
+    // 替换后再还原得到同样的 kaomoji
+    const roundTrip = replacer.replaceText(replacer.unreplace('好ヽ(´▽`)/').text);
+    assertEqual(roundTrip.text, '好ヽ(´▽`)/', 'Re-replacing should give back the kaomoji');
+
+    // 映射模式：精确还原原文，包括未找到、转义与 markNotFound
+    const original = '今天[kaomoji:开心] \\[kaomoji:无语] [kaomoji:不存在] [kaomoji:无语]';
+    const result = replacer.replaceText(original, { markNotFound: true });
+    const mapping = JSON.parse(JSON.stringify(result.mapping));
+    assertEqual(mapping.map(m => m.kind).join(','), 'replacement,escaped,notFound,replacement', 'Mapping should cover every change');
+    assertEqual(replacer.unreplace(result.text, { mapping }).text, original, 'Mapping should restore the original text');
+
+    // 文本被修改后，不符的片段跳过
+    const edited = result.text.replace('今天', '今日');
+    const partial = replacer.unreplace(edited, { mapping });
+    assertEqual(partial.replacements.length, 4, 'Same-length edits keep spans valid');
+    const shifted = replacer.unreplace('前缀' + result.text, { mapping });
+    assert(shifted.replacements.length < 4, 'Shifted spans should be skipped');
+
+    log(`  ${detected.text}`);
+});
+
+// 测试 45: 无标记时自动插入 kaomoji
+suite.test('Auto insert kaomojis without markers', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '高兴'], weight: 1.0 },
+        { kaomoji: 'QAQ', keywords: ['难过', '哭'], weight: 1.0 },
+        { kaomoji: '= =', keywords: ['无语'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 按句子插入，触发词过短（"哭"）的句子不插入，代码中的句子跳过
+    const text = '今天真的好开心！他哭了。我好难过啊\n`真无语` 结束';
+    const result = replacer.autoInsert(text, { minGap: 0, skipRegions: ['markdown-code'] });
+    assertEqual(result.text, '今天真的好开心！ヽ(´▽`)/他哭了。我好难过啊QAQ\n`真无语` 结束', 'Should append kaomojis at sentence ends');
+    assertEqual(result.insertions.length, 2, 'Should list every insertion');
+    assertEqual(result.insertions[0].sentence, '今天真的好开心！', 'Should report the sentence');
+    assertEqual(result.insertions[0].triggers.join(','), '开心', 'Should report trigger words');
+    assertEqual(result.insertions[1].offset, '今天真的好开心！他哭了。我好难过啊'.length, 'Should report the insertion offset');
+
+    // 触发词去重（数据中重复的关键词、归一化后相同的关键词）
+    const repeated = new KaomojiReplacer(new SearchEngine({ normalize: true }));
+    repeated.loadKaomojis([{ kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '開心', '开心'], weight: 1.0 }]);
+    assertEqual(repeated.autoInsert('好开心！').insertions[0].triggers.join(','), '开心', 'Triggers should be unique');
+
+    const before = replacer.autoInsert('好开心！', { position: 'before', separator: ' ' });
+    assertEqual(before.text, '好开心 ヽ(´▽`)/！', 'position before should insert ahead of punctuation');
+
+    // 密度限制
+    const dense = '开心。难过。无语。开心。';
+    assertEqual(replacer.autoInsert(dense, { minGap: 0, maxPerMessage: 2 }).insertions.length, 2, 'maxPerMessage should cap insertions');
+    assertEqual(replacer.autoInsert(dense, { minGap: 6 }).insertions.length, 2, 'minGap should space insertions out');
+    assertEqual(replacer.autoInsert(dense, { minGap: 0, minScore: 2 }).insertions.length, 0, 'minScore should filter weak sentences');
+    // 被 minKeywordLength 过滤掉的单字触发词（"哭"）不计入 minScore 比较的分数
+    assertEqual(replacer.autoInsert('他哭着说好难过。', { minScore: 2 }).insertions.length, 0, 'Filtered triggers should not count toward minScore');
+    assertEqual(replacer.autoInsert('他哭着说好难过。', { minScore: 2, minKeywordLength: 1 }).insertions[0].score, 2, 'Short triggers count when allowed');
+
+    // replaceText 兜底：默认只在没有标记时插入
+    const fallback = replacer.replaceText('好难过啊。', { autoInsert: true });
+    assertEqual(fallback.text, '好难过啊。QAQ', 'Should insert when there are no markers');
+    const withMarker = replacer.replaceText('[kaomoji:无语] 好难过啊。', { autoInsert: true });
+    assertEqual(withMarker.insertions.length, 0, 'Should not insert when markers are present');
+
+    // 有标记也插入时，映射覆盖两种改动且可以还原
+    const original = '[kaomoji:无语] 算了。今天好开心！';
+    const both = replacer.replaceText(original, { autoInsert: { onlyWithoutMarkers: false, minGap: 0 } });
+    assertEqual(both.text, '= = 算了。今天好开心！ヽ(´▽`)/', 'Sentences with replaced markers should not get insertions');
+    assertEqual(both.mapping.map(m => m.kind).join(','), 'replacement,inserted', 'Mapping should include insertions');
+    assertEqual(replacer.unreplace(both.text, { mapping: both.mapping }).text, original, 'Mapping should restore the original');
+
+    log(`  ${result.text.split('\n')[0]}`);
+});
+
+// 测试 46: 结合标记周围的文本挑选 kaomoji
+suite.test('Context-aware marker resolution', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['笑', '开心'], weight: 1.0 },
+        { kaomoji: '(^_^;)', keywords: ['笑', '尴尬'], weight: 1.0 },
+        { kaomoji: 'QAQ', keywords: ['难过', '哭'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    // 不开启时两者同分，stable 取第一个
+    const plain = replacer.replaceText('虽然很尴尬但是[kaomoji:笑]', { tieBreak: 'stable' });
+    assertEqual(plain.text, '虽然很尴尬但是ヽ(´▽`)/', 'Without context the first tie wins');
+    assertEqual(plain.replacements[0].contextTerms.length, 0, 'No context terms without context');
+
+    const result = replacer.replaceText('虽然很尴尬但是[kaomoji:笑]', { tieBreak: 'stable', context: true });
+    assertEqual(result.text, '虽然很尴尬但是(^_^;)', 'Surrounding sentence should steer the pick');
+    assertEqual(result.replacements[0].contextTerms.join(','), '尴尬', 'Should list contributing context terms');
+
+    // 句子窗口：只看标记所在句子；标记单独成句时取前一句
+    assertEqual(replacer.replaceText('很尴尬。今天好开心[kaomoji:笑]', { context: true }).text,
+        '很尴尬。今天好开心ヽ(´▽`)/', 'Only the marker sentence should count');
+    assertEqual(replacer.replaceText('真尴尬啊。[kaomoji:笑]', { context: true, tieBreak: 'stable' }).text,
+        '真尴尬啊。(^_^;)', 'A marker on its own should use the previous sentence');
+
+    // 字符窗口
+    assertEqual(replacer.replaceText('尴尬了一整天，终于[kaomoji:笑]', { context: { window: 3 }, tieBreak: 'stable' }).text,
+        '尴尬了一整天，终于ヽ(´▽`)/', 'Terms outside the character window should not count');
+
+    // 上下文只影响排序，不会引入新结果；其他标记的关键词不计入
+    const other = replacer.replaceText('好难过 [kaomoji:尴尬] [kaomoji:开心]', { context: true });
+    assertEqual(other.text, '好难过 (^_^;) ヽ(´▽`)/', 'Context should not bring in unrelated kaomojis');
+    assertEqual(other.replacements[1].contextTerms.length, 0, 'Other markers should not count as context');
+
+    let threw = false;
+    try {
+        replacer.replaceText('[kaomoji:笑]', { context: { window: 'paragraph' } });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Invalid window should throw');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 47: emoji 转换为 kaomoji
+suite.test('Convert emoji to kaomojis', () => {
+    const testData = [
+        { kaomoji: 'QAQ', keywords: ['大哭', '哭泣', '难过'], weight: 1.0 },
+        { kaomoji: '(╯°□°）╯︵ ┻━┻', keywords: ['愤怒', '生气'], weight: 1.0 },
+        { kaomoji: 'ฅ(• ɪ •)ฅ', keywords: ['猫', '猫咪'], weight: 1.0 },
+        { kaomoji: '(b ᵔ▽ᵔ)b', keywords: ['点赞', '赞同'], weight: 1.0 },
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心'], weight: 1.0 }
+    ];
+
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.loadKaomojis(testData);
+
+    const result = replacer.convertEmoji('好难过😭 气死了😡 黑猫🐈‍⬛ 点赞👍🏽 🏳️‍🌈 🚀');
+    assertEqual(result.text, '好难过QAQ 气死了(╯°□°）╯︵ ┻━┻ 黑猫ฅ(• ɪ •)ฅ 点赞(b ᵔ▽ᵔ)b 🏳️‍🌈 🚀',
+        'Should convert mapped emoji, ZWJ sequences and skin tones');
+    assertEqual(result.conversions.length, 4, 'Should list conversions');
+    assertEqual(result.conversions[2].emoji, '🐈‍⬛', 'ZWJ sequence should be converted as a whole');
+    assertEqual(result.conversions[3].keywords.join(','), '点赞,赞同', 'Skin tone should be ignored for lookup');
+    assertEqual(result.unmapped.map(u => u.emoji).join(' '), '🏳️‍🌈 🚀', 'Unmapped emoji should stay intact');
+
+    // 自定义映射覆盖内置表；跳过区域中的 emoji 保持原样
+    const custom = replacer.convertEmoji('🚀 `😭`', { emojiMap: { '🚀': '开心' }, skipRegions: ['markdown-code'] });
+    assertEqual(custom.text, 'ヽ(´▽`)/ `😭`', 'Custom map and skip regions should apply');
+
+    // replaceText 中与标记一起处理，映射可以还原原文
+    const original = '[kaomoji:开心] 哭了😭';
+    const replaced = replacer.replaceText(original, { convertEmoji: true });
+    assertEqual(replaced.text, 'ヽ(´▽`)/ 哭了QAQ', 'replaceText should convert emoji when enabled');
+    assertEqual(replaced.emojiConversions.length, 1, 'Result should list emoji conversions');
+    assertEqual(replaced.mapping.map(m => m.kind).join(','), 'replacement,emoji', 'Mapping should include emoji spans');
+    assertEqual(replacer.unreplace(replaced.text, { mapping: replaced.mapping }).text, original, 'Mapping should restore emoji');
+    assertEqual(replacer.replaceText('哭了😭').text, '哭了😭', 'Emoji should be untouched by default');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 48: 拼音与首字母匹配
+suite.test('Pinyin and initial-letter matching', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '高兴'], weight: 1.0 },
+        { kaomoji: '(╯°□°）╯︵ ┻━┻', keywords: ['生气', '愤怒'], weight: 1.0 },
+        { kaomoji: 'QAQ', keywords: ['哭', '难过'], weight: 1.0 },
+        { kaomoji: 'ฅ(• ɪ •)ฅ', keywords: ['猫', 'PK'], weight: 1.0 }
+    ];
+
+    // 默认不开启
+    const plain = new SearchEngine();
+    plain.buildIndex(testData);
+    assertEqual(plain.search('kaixin').length, 0, 'Pinyin should be off by default');
+
+    const engine = new SearchEngine({ pinyin: true });
+    engine.buildIndex(testData);
+
+    const full = engine.search('kaixin');
+    assertEqual(full[0].kaomoji, 'ヽ(´▽`)/', 'Full pinyin should match');
+    assertEqual(full[0].matchedKeywords.join(','), '开心', 'Should report the matched keyword');
+    assertEqual(engine.search('SQ')[0].kaomoji, '(╯°□°）╯︵ ┻━┻', 'Initials should match case-insensitively');
+    assertEqual(engine.search('ku')[0].kaomoji, 'QAQ', 'Single-char keywords should match by full pinyin');
+    assertEqual(engine.search('k').length, 0, 'A single initial should not match');
+    assertEqual(engine.search('mao kaixin').length, 2, 'Pinyin terms can be mixed');
+
+    // 多音字按词语读音
+    const polyphones = new SearchEngine({ pinyin: true });
+    polyphones.buildIndex([
+        { kaomoji: '(－_－) zzZ', keywords: ['睡觉'], weight: 1.0 },
+        { kaomoji: '(((;ꏿ_ꏿ;)))', keywords: ['着急'], weight: 1.0 },
+        { kaomoji: '(・_・ヾ', keywords: ['觉得'], weight: 1.0 }
+    ]);
+    assertEqual(polyphones.search('shuijiao')[0]?.kaomoji, '(－_－) zzZ', '睡觉 should read shuijiao');
+    assertEqual(polyphones.search('zhaoji')[0]?.kaomoji, '(((;ꏿ_ꏿ;)))', '着急 should read zhaoji');
+    assertEqual(polyphones.search('juede')[0]?.kaomoji, '(・_・ヾ', 'Other words keep the common reading');
+    assertEqual(polyphones.search('shuijue').length, 0, 'Word readings should replace the common reading');
+
+    // 拼音分数乘以 pinyinWeight
+    const chinese = engine.search('开心')[0].score;
+    const weighted = new SearchEngine({ pinyin: true, pinyinWeight: 0.5 });
+    weighted.buildIndex(testData);
+    assert(weighted.search('kaixin')[0].score < full[0].score, 'pinyinWeight should scale pinyin scores');
+    assert(full[0].score < chinese, 'Pinyin should score below the keyword itself');
+    assertEqual(engine.explain('kx', 'ヽ(´▽`)/').pinyin.terms[0].keywords.join(','), '开心', 'Explain should show pinyin terms');
+
+    // 快照导入后按当前设置重新生成拼音词
+    const restored = new SearchEngine({ pinyin: true });
+    restored.importIndex(JSON.stringify(engine.exportIndex()));
+    assertEqual(restored.search('kx')[0].kaomoji, 'ヽ(´▽`)/', 'Pinyin should survive snapshots');
+
+    const replacer = new KaomojiReplacer(engine);
+    assertEqual(replacer.replaceText('[kaomoji:shengqi]').text, '(╯°□°）╯︵ ┻━┻', 'Markers should accept pinyin');
+
+    log(`  kaixin → ${full[0].kaomoji}`);
+});
+
+// 测试 49: 繁简、全半角与大小写归一化
+suite.test('Traditional/Simplified and width normalization', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '高兴'], weight: 1.0 },
+        { kaomoji: 'QAQ', keywords: ['难过', '哭'], weight: 1.0 },
+        { kaomoji: '(ง •̀_•́)ง', keywords: ['PK', '對決'], weight: 1.0 }
+    ];
+
+    // 内置规则
+    assertEqual(normalizeText('開心　ＰＫ！'), '开心 pk!', 'Should fold traditional, width and case');
+    assertEqual(normalizeText('開心ＰＫ', { traditional: false }), '開心pk', 'Rules can be turned off');
+
+    // 默认不归一化
+    const plain = new SearchEngine();
+    plain.buildIndex(testData);
+    assertEqual(plain.search('難過').length, 0, 'Normalization should be off by default');
+
+    const engine = new SearchEngine({ normalize: true });
+    engine.buildIndex(testData);
+    assertEqual(engine.search('難過')[0].kaomoji, 'QAQ', 'Traditional query should match simplified keyword');
+    assertEqual(engine.search('对决')[0].kaomoji, '(ง •̀_•́)ง', 'Traditional keyword should be indexed as simplified');
+    assertEqual(engine.search('ｐｋ')[0].matchedKeywords.join(','), 'PK', 'Width and case should be folded, keeping the raw keyword');
+    assertEqual(engine.exactMatch('今天好開心')[0].kaomoji, 'ヽ(´▽`)/', 'exactMatch should normalize text');
+    assertEqual(engine.search({ must: ['開心'] }).length, 1, 'Structured queries should normalize terms');
+    assertEqual(engine.normalize('高興'), '高兴', 'normalize should be exposed on the engine');
+
+    // 自定义归一化函数
+    const custom = new SearchEngine({ normalize: text => text.replace(/~/g, '') });
+    custom.buildIndex(testData);
+    assertEqual(custom.search('开~心')[0].kaomoji, 'ヽ(´▽`)/', 'Custom normalizer should be used');
+
+    const replacer = new KaomojiReplacer(engine);
+    const result = replacer.replaceText('[kaomoji:開心] [kaomoji:難過]');
+    assertEqual(result.text, 'ヽ(´▽`)/ QAQ', 'Traditional markers should be replaced');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 50: 日文与英文关键词
+suite.test('Japanese and English keyword tokenization', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '高兴'], weight: 1.0 },
+        { kaomoji: '(^_^)', keywords: ['Happy', 'smile'], weight: 1.0, lang: 'en' },
+        { kaomoji: '(≧▽≦)', keywords: ['うれしい', 'ワクワク'], weight: 1.0, lang: 'ja' },
+        { kaomoji: '(T_T)', keywords: ['crying', 'sad'], weight: 1.0, lang: 'en' }
+    ];
+
+    assertEqual(stemEnglish('happiness'), 'happy', 'happiness should stem to happy');
+    assertEqual(stemEnglish('smiling'), stemEnglish('smiles'), 'Inflections should share a stem');
+
+    const engine = new SearchEngine();
+    engine.buildIndex(testData);
+
+    // 英文：大小写与词形变化
+    assertEqual(engine.search('Happiness')[0].kaomoji, '(^_^)', 'happiness should match Happy');
+    assertEqual(engine.search('I am SO HAPPY')[0].kaomoji, '(^_^)', 'Upper case should match');
+    assertEqual(engine.search('she cries')[0].kaomoji, '(T_T)', 'cries should match crying');
+    assertEqual(engine.search('random words').length, 0, 'English docs should not match on single letters');
+
+    // 日文：平假名与片假名互通，句子中的词也能命中
+    assertEqual(engine.search('ウレシイ')[0].kaomoji, '(≧▽≦)', 'Katakana should match hiragana keyword');
+    assertEqual(engine.search('今日はとてもうれしいです')[0].kaomoji, '(≧▽≦)', 'Keyword inside a sentence should match');
+    assertEqual(engine.search('わくわく')[0].kaomoji, '(≧▽≦)', 'Hiragana should match katakana keyword');
+
+    // 中文数据不受影响
+    assertEqual(engine.search('开心')[0].kaomoji, 'ヽ(´▽`)/', 'Chinese search should be unchanged');
+
+    // exactMatch 与索引快照
+    assertEqual(engine.exactMatch('Such happiness')[0].kaomoji, '(^_^)', 'exactMatch should use language forms');
+    const restored = new SearchEngine();
+    restored.importIndex(JSON.parse(JSON.stringify(engine.exportIndex())));
+    assertEqual(restored.search('ウレシイ')[0].kaomoji, '(≧▽≦)', 'Snapshot should keep document language');
+
+    // 展示与 unreplace 使用原始关键词，归一化形式只用于索引
+    assertEqual(engine.search('happiness')[0].matchedKeywords.join(','), 'Happy', 'matchedKeywords should be raw keywords');
+    assertEqual(engine.explain('smiling', '(^_^)').matchedKeywords.join(','), 'smile', 'explain should show raw keywords');
+    assertEqual(restored.search('smiles')[0].matchedKeywords.join(','), 'smile', 'Snapshot should keep raw keywords');
+    assertEqual(new KaomojiReplacer(restored).unreplace('(^_^)').text, '[kaomoji:Happy,smile]', 'unreplace should use raw keywords');
+
+    // 自定义分词器返回的数组不会被修改
+    const cached = ['happy'];
+    const cachedEngine = new SearchEngine({ tokenizer: { tokenize: () => cached } });
+    cachedEngine.buildIndex(testData);
+    cachedEngine.search('happy');
+    assertEqual(cached.join(','), 'happy', 'Tokenizer output should not be mutated');
+
+    // 数据校验
+    let threw = false;
+    try {
+        new SearchEngine().buildIndex([{ kaomoji: 'x', keywords: ['a'], lang: 'xx' }]);
+    } catch (error) {
+        threw = error.message === 'Unknown language: xx';
+    }
+    assert(threw, 'Unknown language should throw');
+
+    const manager = new KaomojiDataManager();
+    manager.loadFromArray(testData);
+    assertEqual(manager.getKaomojiByText('(≧▽≦)').lang, 'ja', 'Manager should keep lang');
+    assert(manager.setLang('ヽ(´▽`)/', 'zh'), 'setLang should accept zh');
+    assert(!manager.setLang('ヽ(´▽`)/', 'xx'), 'setLang should reject unknown lang');
+
+    const replacer = new KaomojiReplacer(engine);
+    const result = replacer.replaceText('[kaomoji:smiling] [kaomoji:ワクワク]');
+    assertEqual(result.text, '(^_^) (≧▽≦)', 'Markers in both languages should be replaced');
+    assertEqual(replacer.unreplace('(≧▽≦)').text, '[kaomoji:うれしい,ワクワク]', 'unreplace should keep kana as written');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 51: 同义词扩展
+suite.test('Synonym query expansion', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '微笑'], weight: 1.0 },
+        { kaomoji: '(≧▽≦)', keywords: ['高兴'], weight: 1.0 },
+        { kaomoji: '(╬ Ò﹏Ó)', keywords: ['生气'], weight: 1.0 }
+    ];
+
+    const manager = new KaomojiDataManager();
+    manager.loadSynonymsFromJSON('[["开心", "高兴"], ["生气", "愤怒"], ["孤零零"]]');
+    assertEqual(manager.getSynonymGroups().length, 2, 'Groups with fewer than two words should be skipped');
+    assert(manager.addSynonyms(['快乐', '开心']), 'addSynonyms should succeed');
+    assertEqual(manager.getSynonyms('高兴').sort().join(','), ['开心', '快乐'].sort().join(','), 'Overlapping words should merge into one group');
+    assert(manager.removeSynonym('快乐'), 'removeSynonym should succeed');
+    assertEqual(manager.getSynonyms('开心').join(','), '高兴', 'Removed word should be gone');
+
+    // 未设置同义词表时，"愤怒" 找不到 "生气"
+    const plain = new SearchEngine();
+    plain.buildIndex(testData);
+    assertEqual(plain.search('愤怒').length, 0, 'No synonyms should mean no match');
+
+    const engine = new SearchEngine({ synonyms: manager.getSynonymGroups(), tieBreak: 'stable' });
+    engine.buildIndex(testData);
+
+    const angry = engine.search('愤怒');
+    assertEqual(angry[0].kaomoji, '(╬ Ò﹏Ó)', 'Synonym should reach the item');
+    assertEqual(angry[0].expansions[0].synonym, '生气', 'Applied expansion should be reported');
+    assertEqual(angry[0].matchedKeywords.join(','), '生气', 'Synonym keyword should be matched');
+
+    // 原词命中的结果排在同义词命中的结果之前
+    const happy = engine.search('高兴');
+    assertEqual(happy[0].kaomoji, '(≧▽≦)', 'Literal match should rank first');
+    assertEqual(happy[0].expansions.length, 0, 'Literal match should have no applied expansion');
+    assertEqual(happy[1].kaomoji, 'ヽ(´▽`)/', 'Synonym match should follow');
+
+    // 同义词得分按 synonymWeight 降权
+    const full = new SearchEngine({ synonyms: [['生气', '愤怒']], synonymWeight: 1.0 });
+    full.buildIndex(testData);
+    const ratio = angry[0].score / full.search('愤怒')[0].score;
+    assert(Math.abs(ratio - 0.7) < 1e-9, 'Default synonymWeight should be 0.7');
+    assertEqual(engine.explain('愤怒', '(╬ Ò﹏Ó)').synonym.terms[0].term, '愤怒', 'explain should include synonym part');
+
+    const replacer = new KaomojiReplacer(engine);
+    assertEqual(replacer.replaceText('[kaomoji:愤怒]').text, '(╬ Ò﹏Ó)', 'Markers should use synonyms');
+
+    log(`  愤怒 → ${angry[0].kaomoji} via ${angry[0].expansions[0].synonym}`);
+});
+
+// 测试 52: 模糊匹配与 didYouMean
+suite.test('Fuzzy matching and didYouMean', () => {
+    const testData = [
+        { kaomoji: 'ヽ(´▽`)/', keywords: ['开心', '手舞足蹈'], weight: 1.0 },
+        { kaomoji: '(╬ Ò﹏Ó)', keywords: ['生气', '愤怒'], weight: 1.0 },
+        { kaomoji: '(ﾟДﾟ)', keywords: ['吃惊', 'pk'], weight: 1.0 },
+        { kaomoji: '(っ´▽`)っ', keywords: ['双人'], weight: 1.0 },
+        { kaomoji: '(^_^)', keywords: ['happy'], weight: 1.0, lang: 'en' }
+    ];
+
+    // 未开启 fuzzy 时，"开新" 只靠单字得分
+    const plain = new SearchEngine();
+    plain.buildIndex(testData);
+    const plainResult = plain.search('开新')[0];
+    assert(!plainResult.corrections, 'No corrections without fuzzy');
+
+    const engine = new SearchEngine({ fuzzy: true });
+    engine.buildIndex(testData);
+
+    const results = engine.search('开新');
+    assertEqual(results[0].kaomoji, 'ヽ(´▽`)/', 'Typo should still find the item');
+    assertEqual(results[0].corrections[0].correction, '开心', 'Correction should be reported');
+    assertEqual(results[0].corrections[0].similarity, 0.5, 'Similarity should be 1 - distance / length');
+    assert(results[0].score > plainResult.score, 'Correction should add whole-word score');
+    assert(results[0].matchedKeywords.includes('开心'), 'Corrected keyword should be matched');
+    assert(engine.explain('开新', 'ヽ(´▽`)/').fuzzy.score > 0, 'explain should include fuzzy part');
+    assertEqual(engine.didYouMean('手午足蹈')[0].similarity, 0.75, 'Longer words should be corrected too');
+
+    // 已知关键词、包含已知关键词的词不纠正
+    assertEqual(engine.didYouMean('开心').length, 0, 'Known keyword should not be corrected');
+    assertEqual(engine.didYouMean('好开心').length, 0, 'Word containing a keyword should not be corrected');
+    assertEqual(engine.didYouMean('完全不相关').length, 0, 'Dissimilar word should not be corrected');
+
+    // didYouMean 不受 fuzzy 配置影响
+    const suggestions = plain.didYouMean('生汽 hapy');
+    assertEqual(suggestions.map(s => s.correction).join(','), '生气,happy', 'didYouMean should suggest keywords');
+
+    // 阈值
+    const strict = new SearchEngine({ fuzzy: true, fuzzyThreshold: 0.8 });
+    strict.buildIndex(testData);
+    assertEqual(strict.didYouMean('开新').length, 0, 'Threshold should filter weak corrections');
+
+    // fuzzyMinLength：两个字的词改一个字往往是另一个词（开车 / 开心），可以不纠正
+    const long = new SearchEngine({ fuzzy: true, fuzzyMinLength: 3 });
+    long.buildIndex(testData);
+    assertEqual(long.didYouMean('开车 吃饭 好人 ok').length, 0, 'Short words should not be corrected below fuzzyMinLength');
+    assert(!long.search('开车').some(r => r.corrections && r.corrections.length > 0), '开车 should not become 开心');
+    assertEqual(long.didYouMean('手午足蹈')[0].correction, '手舞足蹈', 'Longer words should still be corrected');
+
+    const replacer = new KaomojiReplacer(engine);
+    assertEqual(replacer.replaceText('[kaomoji:生汽]').text, '(╬ Ò﹏Ó)', 'Markers with typos should be replaced');
+
+    log(`  开新 → ${results[0].corrections[0].correction}`);
+});
+
+// 测试 53: quickReplace 的 history 选项
+suite.test('quickReplace accepts history options', () => {
+    const testData = [
+        { kaomoji: 'A', keywords: ['开心'], weight: 1.0 },
+        { kaomoji: 'B', keywords: ['开心'], weight: 1.0 }
+    ];
+
+    const result = quickReplace('[kaomoji:开心] [kaomoji:开心]', testData, {
+        history: { window: 3, mode: 'skip' }
+    });
+    assertEqual(result.successCount, 2, 'Both markers should be replaced');
+    assert(result.replacements[0].kaomoji !== result.replacements[1].kaomoji, 'History options should avoid repeats');
+
+    log(`  ${result.text}`);
+});
+
+// 测试 54: 流式替换中的跳过区域
+suite.test('Streaming replacement honors skip regions', () => {
+    const engine = new SearchEngine();
+    const replacer = new KaomojiReplacer(engine);
+    replacer.setConfig({ markerSyntaxes: ['bracket', 'mustache'] });
+    replacer.loadKaomojis([{ kaomoji: 'ヽ(´▽`)/', keywords: ['开心', 'happy'], weight: 1.0 }]);
+
+    const text = [
+        '用法：`[kaomoji:开心]` 会被替换[kaomoji:开心]',
+        '```',
+        '[kaomoji:开心]',
+        '```',
+        '未闭合的 ` 反引号 [kaomoji:开心]',
+        '',
+        '<!-- [kaomoji:开心] --> 见 https://example.com/?q={{kaomoji:happy}}'
+    ].join('\n');
+    const skipRegions = ['markdown-code', 'html-comments', 'urls'];
+    const expected = replacer.replaceText(text, { skipRegions });
+
+    // 逐字符写入：行内代码的结束反引号到达前不能替换
+    const charStream = replacer.createStream({ skipRegions });
+    const outputs = Array.from(text).map(c => charStream.write(c));
+    const streamed = outputs.join('') + charStream.end();
+    assertEqual(streamed, expected.text, 'Char-by-char stream should match replaceText with skipRegions');
+    assertEqual(charStream.successCount, 2, 'Markers outside skip regions should be replaced');
+    assertEqual(charStream.skipped.map(s => s.region).join(','),
+        'markdown-code,markdown-code,html-comments,urls', 'Skipped markers should name their region');
+    assertEqual(charStream.skipped[0].offset, expected.skipped[0].offset, 'Skipped offsets should be stream positions');
+
+    // 整块到达的围栏代码块
+    const block = replacer.createStream({ skipRegions: ['markdown-code'] });
+    assertEqual(block.write('```\n[kaomoji:开心]\n') + block.end('```'), '```\n[kaomoji:开心]\n```', 'Fenced code should be skipped');
+
+    // 配置默认值与未闭合的反引号在流结束时不再等待
+    replacer.setConfig({ skipRegions: ['markdown-code'] });
+    const pending = replacer.createStream();
+    assertEqual(pending.write('` [kaomoji:开心]'), '` ', 'Markers after an open backtick should wait');
+    assertEqual(pending.end(), 'ヽ(´▽`)/', 'Unclosed backticks should not be code at the end');
+
+    let threw = false;
+    try { replacer.createStream({ skipRegions: ['nope'] }); } catch { threw = true; }
+    assert(threw, 'Unknown preset should throw');
+
+    log(`  ${streamed.split('\n')[0]}`);
+});
+
 // 运行所有测试
 (async () => {
     try {
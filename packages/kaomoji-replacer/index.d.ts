@@ -9,24 +9,372 @@ export interface KaomojiData {
     keywords: string[];
     weight?: number;
     category?: string;
+    /** 关键词的语言，决定索引时使用的分词器（未设置时同 'zh'） */
+    lang?: Language;
+}
+
+/**
+ * 数据项支持的语言
+ * - zh: 使用 SearchEngine 的分词器（默认）
+ * - ja: 片假名统一为平假名，按假名/汉字片段分词
+ * - en: 转为小写并做轻量词干化（smiling → smil）
+ */
+export type Language = 'zh' | 'ja' | 'en';
+
+/**
+ * 分词器接口
+ */
+export interface Tokenizer {
+    /**
+     * 将文本切分为（去重的）查询词
+     */
+    tokenize(text: string): string[];
+
+    /**
+     * 接收关键词词表作为分词词典（可选）
+     */
+    setVocabulary?(words: Iterable<string>): void;
+}
+
+export type TokenizerName = 'ngram' | 'max-match';
+
+/**
+ * 同分排序方式
+ */
+export type TieBreakMode = 'random' | 'stable' | 'weight';
+
+/**
+ * 随机数来源（返回 [0, 1) 的函数）
+ */
+export type RandomSource = () => number;
+
+/** 同义词组，如 ['开心', '高兴', '快乐'] */
+export type SynonymGroup = string[];
+
+/** 查询扩展：原查询词 term 被扩展为同义词 synonym */
+export interface QueryExpansion {
+    term: string;
+    synonym: string;
+}
+
+/** 模糊纠正：查询中的词 term 被纠正为关键词 correction */
+export interface QueryCorrection {
+    term: string;
+    correction: string;
+    /** 1 - 编辑距离 / 较长词的长度 */
+    similarity: number;
 }
 
 export interface SearchConfig {
     k1?: number;
     b?: number;
+    charWeight?: number;
+    /** 归一化：索引与查询前统一写法（默认不归一化） */
+    normalize?: boolean | NormalizeOptions | Normalizer | null;
+    /** 拼音匹配：为关键词索引全拼与首字母（默认 false） */
+    pinyin?: boolean;
+    /** 拼音匹配权重系数（默认 0.8） */
+    pinyinWeight?: number;
+    /** 同义词表：每组中的词互为同义词，查询时用于扩展查询词 */
+    synonyms?: SynonymGroup[];
+    /** 同义词匹配权重系数（默认 0.7） */
+    synonymWeight?: number;
+    /** 模糊匹配：词表中没有的词纠正为最相近的关键词（默认 false） */
+    fuzzy?: boolean;
+    /** 模糊匹配的最低相似度（默认 0.5） */
+    fuzzyThreshold?: number;
+    /** 参与纠正的查询词最短长度（默认 2；设为 3 时两个字的词不纠正，避免 开车 → 开心） */
+    fuzzyMinLength?: number;
+    /** 模糊匹配权重系数（默认 0.6） */
+    fuzzyWeight?: number;
+    /** 分词器（省略或 null 时使用 n-gram 分词器） */
+    tokenizer?: TokenizerName | Tokenizer | null;
+    tieBreak?: TieBreakMode;
+    random?: RandomSource;
+}
+
+/**
+ * 结构化查询：must 和 should 共同参与计分，must / mustNot 用于过滤
+ */
+export interface StructuredQuery {
+    must?: string | string[];
+    should?: string | string[];
+    mustNot?: string | string[];
+}
+
+export type SearchQuery = string | StructuredQuery;
+
+export interface SearchOptions {
+    tieBreak?: TieBreakMode;
+    random?: RandomSource;
+    explain?: boolean;
+    categories?: string | string[];
+    excludeCategories?: string | string[];
+    /** 上下文词：只对已命中查询的结果加分 */
+    contextTerms?: string[];
+    /** 上下文词得分的权重（默认 0.3） */
+    contextWeight?: number;
+}
+
+export interface TermContribution {
+    term: string;
+    tf: number;
+    idf: number;
+    contribution: number;
+}
+
+/**
+ * 得分明细（SearchEngine.explain / search 的 explain 选项）
+ */
+export interface ScoreExplanation {
+    query: string[];
+    kaomoji: string;
+    score: number;
+    wholeWord: {
+        score: number;
+        terms: TermContribution[];
+    };
+    singleCharInMultiChar: {
+        score: number;
+        terms: Array<TermContribution & { keywords: string[] }>;
+    };
+    char: {
+        score: number;
+        charWeight: number;
+        terms: TermContribution[];
+    };
+    pinyin: {
+        score: number;
+        pinyinWeight: number;
+        terms: Array<TermContribution & { keywords: string[] }>;
+    };
+    synonym: {
+        score: number;
+        synonymWeight: number;
+        terms: Array<TermContribution & { synonym: string }>;
+    };
+    fuzzy: {
+        score: number;
+        fuzzyWeight: number;
+        terms: Array<TermContribution & { correction: string; similarity: number }>;
+    };
+    lengthNormalization: {
+        k1: number;
+        b: number;
+        docLength: number;
+        avgDocLength: number;
+        wholeWord: number;
+        charDocLength: number;
+        avgCharDocLength: number;
+        char: number;
+    };
+    baseScore: number;
+    matchedKeywords: string[];
+    keywordWeights: Array<{ keyword: string; weight: number }>;
+    keywordWeight: number;
+    docWeight: number;
+}
+
+/** 内置策略，或通过 KaomojiReplacer.registerStrategy 注册的自定义策略名称 */
+export type ReplaceStrategy = 'first' | 'best' | 'all' | 'weighted' | (string & {});
+
+export type SkipRegionPreset = 'markdown-code' | 'html-comments' | 'urls';
+
+/** 跳过区域：内置预设名称、正则表达式，或返回 [start, end] 区间列表的函数 */
+export type SkipRegionSpec = SkipRegionPreset | RegExp | ((text: string) => Array<[number, number]>);
+
+export interface SkippedMarker {
+    original: string;
+    offset: number;
+    syntax: string;
+    /** 预设名称，自定义区域为 'custom' */
+    region: SkipRegionPreset | 'custom';
+}
+
+export type MarkerSyntaxName = 'bracket' | 'mustache' | 'colon' | 'xml';
+
+/** 自定义标记语法 */
+export interface MarkerSyntax {
+    name: string;
+    /** 使用命名捕获组 keywords / category / options */
+    pattern: RegExp;
+    keywordSeparator?: string;
+    /** 'inline'：关键词后的 |键=值；'attributes'：options 组中的 键="值" */
+    optionStyle?: 'inline' | 'attributes';
+    optionSeparator?: string;
+    /** 流式替换使用的定界符 */
+    open?: string;
+    close?: string;
 }
 
 export interface ReplaceConfig {
     markerPattern?: RegExp;
+    markerSyntaxes?: Array<MarkerSyntaxName | MarkerSyntax>;
     keywordSeparator?: string;
-    replaceStrategy?: 'first' | 'best' | 'all';
+    optionSeparator?: string;
+    replaceStrategy?: ReplaceStrategy;
+    skipRegions?: SkipRegionSpec[];
+    /** 转义字符（默认 '\\'），null 表示不支持转义 */
+    escapeChar?: string | null;
+}
+
+/** 标记内联选项（|n=2|strategy=all|min=1.5）解析结果 */
+export interface MarkerOptions {
+    topK?: number;
+    strategy?: ReplaceStrategy;
+    threshold?: number;
+    temperature?: number;
 }
 
 export interface ReplaceOptions {
-    strategy?: 'first' | 'best' | 'all';
+    strategy?: ReplaceStrategy;
     threshold?: number;
+    /** weighted 策略的温度（默认 1） */
+    temperature?: number;
     keepOriginalOnNotFound?: boolean;
     markNotFound?: boolean;
+    seed?: number | string;
+    tieBreak?: TieBreakMode;
+    categories?: string | string[];
+    excludeCategories?: string | string[];
+    history?: RepetitionHistory | null;
+    chatId?: string;
+    /** 随机数来源（优先于 seed） */
+    random?: RandomSource;
+    skipRegions?: SkipRegionSpec[];
+    /** 结合标记周围的文本挑选 kaomoji（流式替换中只能看到标记本身） */
+    context?: boolean | ContextOptions;
+    /** 把 emoji 转换为 kaomoji（流式替换不支持） */
+    convertEmoji?: boolean | ConvertEmojiOptions;
+    /** 文本中没有标记（也没有转换 emoji）时自动插入 kaomoji（流式替换不支持） */
+    autoInsert?: boolean | (AutoInsertOptions & {
+        /** 为 false 时有标记也插入（默认 true） */
+        onlyWithoutMarkers?: boolean;
+    });
+}
+
+export interface ContextOptions {
+    /** 'sentence'（标记所在句子，默认）或标记前后各 N 个字符 */
+    window?: 'sentence' | number;
+    /** 上下文词得分的权重（默认 0.3） */
+    weight?: number;
+}
+
+/** emoji → 关键词数组或逗号分隔的字符串 */
+export type EmojiKeywordMap = Record<string, string[] | string>;
+
+export interface ConvertEmojiOptions {
+    /** 自定义映射，覆盖内置映射表中的同名条目 */
+    emojiMap?: EmojiKeywordMap;
+    strategy?: ReplaceStrategy;
+    threshold?: number;
+    /** 候选数量（默认 5） */
+    topK?: number;
+    temperature?: number;
+    seed?: number | string;
+    random?: RandomSource;
+    tieBreak?: TieBreakMode;
+    categories?: string | string[];
+    excludeCategories?: string | string[];
+    history?: RepetitionHistory | null;
+    chatId?: string;
+    skipRegions?: SkipRegionSpec[];
+}
+
+export interface EmojiConversion {
+    emoji: string;
+    keywords: string[];
+    kaomoji: string;
+    offset: number;
+    matches: SearchResult[];
+    selected: SearchResult | SearchResult[] | null;
+}
+
+export interface ConvertEmojiResult {
+    text: string;
+    conversions: EmojiConversion[];
+    /** 映射表中没有（keywords 为空）或找不到 kaomoji 的 emoji，保持原样 */
+    unmapped: Array<{ emoji: string; keywords: string[]; offset: number }>;
+    mapping: MappingSpan[];
+    originalText: string;
+}
+
+export type AutoInsertMode = 'exact' | 'search';
+
+export interface AutoInsertOptions {
+    /** 'exact'（句子包含完整关键词，默认）| 'search'（BM25 搜索） */
+    mode?: AutoInsertMode;
+    /** 最低分数（默认 1） */
+    minScore?: number;
+    /** 每段文本最多插入几个（默认 3） */
+    maxPerMessage?: number;
+    /** 相邻两次插入之间至少间隔的字符数（默认 20） */
+    minGap?: number;
+    /** 触发词最小长度（默认 2） */
+    minKeywordLength?: number;
+    /** 插入在句末标点之后（默认）还是之前 */
+    position?: 'after' | 'before';
+    /** 插入在 kaomoji 前的文本（默认为空） */
+    separator?: string;
+    seed?: number | string;
+    random?: RandomSource;
+    tieBreak?: TieBreakMode;
+    categories?: string | string[];
+    excludeCategories?: string | string[];
+    history?: RepetitionHistory | null;
+    chatId?: string;
+    skipRegions?: SkipRegionSpec[];
+}
+
+export interface Insertion {
+    kaomoji: string;
+    /** 插入位置在输入文本中的下标（经 replaceText 插入时为标记替换、emoji 转换后文本中的下标） */
+    offset: number;
+    sentence: string;
+    /** 触发插入的关键词（已去重） */
+    triggers: string[];
+    score: number;
+    category: string;
+}
+
+export interface AutoInsertResult {
+    text: string;
+    insertions: Insertion[];
+    mapping: MappingSpan[];
+    originalText: string;
+}
+
+export interface StreamOptions extends Omit<ReplaceOptions, 'convertEmoji' | 'autoInsert'> {
+    /** 流式替换不支持 emoji 转换与自动插入，传入 true 或选项对象时抛出错误 */
+    convertEmoji?: false;
+    autoInsert?: false;
+    /** 标记开始定界符（默认使用各标记语法的 open） */
+    open?: string;
+    /** 标记结束定界符（默认使用各标记语法的 close） */
+    close?: string;
+    /** 标记最大长度，超过后不再等待闭合（默认 200） */
+    maxMarkerLength?: number;
+}
+
+export interface StreamReplacement extends Replacement {
+    /** 流结束时仍未闭合的标记 */
+    unterminated?: boolean;
+}
+
+export type RepetitionMode = 'penalty' | 'skip';
+export type HistoryScope = 'message' | 'chat' | 'global';
+
+export interface RepetitionHistoryOptions {
+    window?: number;
+    mode?: RepetitionMode;
+    penalty?: number;
+    scope?: HistoryScope;
+}
+
+export interface HistorySnapshot {
+    format: 'kaomoji-replacer-history';
+    version: number;
+    entries: Record<string, string[]>;
 }
 
 export interface SearchResult {
@@ -34,22 +382,122 @@ export interface SearchResult {
     score: number;
     matchedKeywords: string[];
     category: string;
+    explanation?: ScoreExplanation;
+    /** 经重复抑制降权时为 true */
+    repeated?: boolean;
+    /** 提供 contextTerms 时：该结果命中的上下文词及其加分 */
+    contextTerms?: string[];
+    contextScore?: number;
+    /** 查询被同义词扩展时：该结果实际命中的扩展 */
+    expansions?: QueryExpansion[];
+    /** 查询中的词被模糊纠正时：该结果实际命中的纠正 */
+    corrections?: QueryCorrection[];
+}
+
+/** 传给策略函数的标记信息 */
+export interface StrategyMarker {
+    match: string;
+    syntax: string;
+    keywordsStr: string;
+    category: string | null;
+    offset: number;
+    options: MarkerOptions;
+}
+
+/** 传给策略函数的上下文 */
+export interface StrategyContext {
+    replacer: KaomojiReplacer;
+    strategy: string;
+    options: ReplaceOptions;
+    temperature: number;
+    random: RandomSource;
+    chatId?: string;
+    index: number;
+}
+
+/**
+ * 替换策略函数：返回替换字符串、单个匹配结果或匹配结果数组（以空格连接），
+ * 返回 null / undefined / 空字符串表示放弃替换
+ */
+export type StrategyFunction = (
+    marker: StrategyMarker,
+    keywords: string[],
+    matches: SearchResult[],
+    context: StrategyContext
+) => string | SearchResult | SearchResult[] | null | undefined;
+
+/**
+ * 索引快照（SearchEngine.exportIndex）
+ */
+export interface IndexSnapshot {
+    format: 'kaomoji-replacer-index';
+    version: number;
+    meta: any;
+    /** [kaomoji, 关键词索引形式, 关键词权重（全为 1 时为 null）, 颜文字权重, 分类, 语言（可省略）, 原始关键词（与索引形式相同时省略）] */
+    documents: Array<[string, string[], number[] | null, number, string, (Language | null)?, string[]?]>;
+    idf: Array<[string, number]>;
+    charIdf: Array<[string, number]>;
 }
 
 export interface Replacement {
     index: number;
     original: string;
+    /** 标记语法名称 */
+    syntax: string;
     keywords: string[];
+    query: SearchQuery;
+    category: string | null;
     kaomoji: string | null;
     offset: number;
     matches: SearchResult[];
     selected: SearchResult | SearchResult[] | null;
+    /** 参与计分的上下文词（context 选项） */
+    contextTerms: string[];
+    options: MarkerOptions;
+    optionErrors: string[];
     notFound?: boolean;
 }
 
+/** 输出中与原文不同的片段（replaceText 结果的 mapping） */
+export interface MappingSpan {
+    /** 在输出文本中的位置 */
+    start: number;
+    end: number;
+    output: string;
+    original: string;
+    kind: 'replacement' | 'notFound' | 'escaped' | 'skipped' | 'emoji' | 'inserted';
+}
+
+export interface UnreplaceOptions {
+    /** replaceText 结果中的 mapping，提供时按映射精确还原 */
+    mapping?: MappingSpan[];
+    /** 标记中使用的关键词数量（默认 2） */
+    keywordCount?: number;
+    /** 是否写入分类（默认 false） */
+    includeCategory?: boolean;
+    /** 参与识别的 kaomoji 最小长度（默认 2） */
+    minLength?: number;
+    /** 自定义标记格式 */
+    format?: (keywords: string[], doc: { kaomoji: string; keywords: string[]; category: string }) => string;
+}
+
+export interface UnreplaceResult {
+    text: string;
+    replacements: Array<{ kaomoji: string; marker: string; offset: number; kind?: MappingSpan['kind'] }>;
+    originalText: string;
+}
+
 export interface ReplaceResult {
     text: string;
     replacements: Replacement[];
+    skipped: SkippedMarker[];
+    /** 被转义、按字面量输出的标记 */
+    escaped: Array<{ original: string; offset: number; syntax: string }>;
+    /** emoji 转换（offset 为在标记替换后文本中的位置） */
+    emojiConversions: EmojiConversion[];
+    /** 自动插入的 kaomoji（offset 为在标记替换、emoji 转换后文本中的位置） */
+    insertions: Insertion[];
+    mapping: MappingSpan[];
     originalText: string;
     hasReplacements: boolean;
     successCount: number;
@@ -58,7 +506,11 @@ export interface ReplaceResult {
 
 export interface PreviewMarker {
     marker: string;
+    syntax: string;
     keywords: string[];
+    category: string | null;
+    options: MarkerOptions;
+    optionErrors: string[];
     offset: number;
     matches: SearchResult[];
     bestMatch: SearchResult | null;
@@ -104,45 +556,222 @@ export class SearchEngine {
 
     k1: number;
     b: number;
+    charWeight: number;
+    pinyin: boolean;
+    pinyinWeight: number;
+    synonyms: Map<string, Set<string>>;
+    synonymWeight: number;
+    fuzzy: boolean;
+    fuzzyThreshold: number;
+    fuzzyWeight: number;
+    fuzzyMinLength: number;
+    normalizer: Normalizer | null;
+    tokenizer: Tokenizer;
+    languageTokenizers: Map<Language, LanguageTokenizer>;
+    languageDocCounts: Map<Language, number>;
+    tieBreak: TieBreakMode;
+    random: RandomSource;
     documents: Array<{
         kaomoji: string;
+        /** 原始关键词（不含权重前缀） */
         keywords: string[];
+        /** 关键词的索引形式（已归一化，与 keywords 一一对应） */
+        terms: string[];
         weight: number;
         category: string;
+        /** 语言（未设置或 'zh' 时为 null） */
+        lang: Language | null;
     }>;
     avgDocLength: number;
-    idf: Map<string, number>;
+    avgCharDocLength: number;
+    /** 整词 IDF 表（由倒排索引按需生成） */
+    readonly idf: Map<string, number>;
+    /** 单字 IDF 表（由倒排索引按需生成） */
+    readonly charIdf: Map<string, number>;
+    termPostings: Map<string, Set<object>>;
+    charPostings: Map<string, Set<object>>;
 
     /**
-     * 构建索引
+     * 构建索引（同一 kaomoji 出现多次时各自成为文档，增量删除 / 更新作用于第一个）
      */
     buildIndex(kaomojis: KaomojiData[]): void;
 
+    /**
+     * 增量添加文档（已存在相同 kaomoji 时返回 false）
+     */
+    addDocument(item: KaomojiData): boolean;
+
+    /**
+     * 增量删除文档
+     */
+    removeDocument(kaomoji: string): boolean;
+
+    /**
+     * 增量更新文档（保持文档原有位置）
+     */
+    updateDocument(kaomoji: string, item: KaomojiData): boolean;
+
+    /**
+     * 导出索引快照
+     */
+    exportIndex(meta?: any): IndexSnapshot;
+
+    /**
+     * 从索引快照恢复索引
+     */
+    importIndex(snapshot: IndexSnapshot | string): void;
+
+    /**
+     * 设置分词器
+     */
+    setTokenizer(tokenizer: TokenizerName | Tokenizer | null): void;
+
     /**
      * BM25 搜索
      */
-    search(text: string, topK?: number, threshold?: number): SearchResult[];
+    search(text: SearchQuery, topK?: number, threshold?: number, options?: SearchOptions): SearchResult[];
+
+    /**
+     * 解释某个颜文字针对查询的得分构成
+     */
+    explain(query: SearchQuery, kaomoji: string): ScoreExplanation | null;
 
     /**
      * 精确匹配
      */
-    exactMatch(text: string): SearchResult[];
+    exactMatch(text: string, options?: Omit<SearchOptions, 'explain' | 'contextTerms' | 'contextWeight'> & {
+        /** 关键词最小长度（默认 1），更短的关键词既不命中也不计分 */
+        minLength?: number;
+    }): SearchResult[];
+
+    /**
+     * 找出文本中包含的词表关键词（按首次出现位置排序）
+     */
+    findTerms(text: string, minLength?: number): string[];
+
+    /**
+     * 归一化文本（未配置 normalize 时原样返回）
+     */
+    normalize(text: string): string;
+
+    /**
+     * 设置同义词表（替换原有的同义词表，无需重新构建索引）
+     */
+    setSynonyms(groups: SynonymGroup[]): void;
+
+    /**
+     * 获取某个词的同义词
+     */
+    getSynonyms(word: string): string[];
+
+    /**
+     * 为查询中词表里没有的词给出纠正建议（不受 fuzzy 配置影响）
+     */
+    didYouMean(query: SearchQuery): QueryCorrection[];
+}
+
+/**
+ * NgramTokenizer - N-gram 分词器（默认）
+ */
+export class NgramTokenizer implements Tokenizer {
+    tokenize(text: string): string[];
+}
+
+export interface MaxMatchTokenizerOptions {
+    dictionary?: Iterable<string>;
+    maxWordLength?: number;
 }
 
+/**
+ * MaxMatchTokenizer - 基于关键词词表的正向最大匹配分词器
+ */
+export class MaxMatchTokenizer implements Tokenizer {
+    constructor(options?: MaxMatchTokenizerOptions);
+
+    maxWordLength: number;
+    dictionary: Set<string>;
+
+    tokenize(text: string): string[];
+    setVocabulary(words: Iterable<string>): void;
+}
+
+/**
+ * 根据名称或对象创建分词器
+ */
+export function createTokenizer(tokenizer?: TokenizerName | Tokenizer | null): Tokenizer;
+
+/**
+ * 语言分词器 - 除分词外还能把关键词转换为索引形式
+ */
+export interface LanguageTokenizer extends Tokenizer {
+    normalize(text: string): string;
+}
+
+export interface JapaneseTokenizerOptions {
+    /** 最大子串长度（默认 6） */
+    maxWordLength?: number;
+}
+
+/**
+ * JapaneseTokenizer - 日文分词器（片假名统一为平假名，提取假名/汉字片段的子串）
+ */
+export class JapaneseTokenizer implements LanguageTokenizer {
+    constructor(options?: JapaneseTokenizerOptions);
+
+    maxWordLength: number;
+
+    tokenize(text: string): string[];
+    normalize(text: string): string;
+}
+
+/**
+ * EnglishTokenizer - 英文分词器（小写 + 轻量词干化）
+ */
+export class EnglishTokenizer implements LanguageTokenizer {
+    tokenize(text: string): string[];
+    normalize(text: string): string;
+}
+
+/**
+ * 根据语言代码创建语言分词器（'ja' | 'en'）
+ */
+export function createLanguageTokenizer(lang: Exclude<Language, 'zh'>): LanguageTokenizer;
+
+/**
+ * 英文轻量词干化（smile / smiles / smiled / smiling → smil）
+ */
+export function stemEnglish(word: string): string;
+
 /**
  * KaomojiReplacer - 颜文字替换引擎
  */
 export class KaomojiReplacer {
     constructor(searchEngine: SearchEngine);
 
+    /**
+     * 注册替换策略（同名时覆盖，包括内置策略）
+     */
+    static registerStrategy(name: string, fn: StrategyFunction): void;
+
+    /**
+     * 获取已注册的策略名称
+     */
+    static getStrategies(): string[];
+
     searchEngine: SearchEngine;
     config: ReplaceConfig;
+    history: RepetitionHistory | null;
 
     /**
      * 设置配置
      */
     setConfig(config: ReplaceConfig): void;
 
+    /**
+     * 设置重复抑制历史（null 关闭）
+     */
+    setHistory(history: RepetitionHistory | null): void;
+
     /**
      * 加载颜文字数据
      */
@@ -153,6 +782,26 @@ export class KaomojiReplacer {
      */
     replaceText(text: string, options?: ReplaceOptions): ReplaceResult;
 
+    /**
+     * 把 emoji 转换为 kaomoji
+     */
+    convertEmoji(text: string, options?: ConvertEmojiOptions): ConvertEmojiResult;
+
+    /**
+     * 不需要标记，按句子自动插入 kaomoji
+     */
+    autoInsert(text: string, options?: AutoInsertOptions): AutoInsertResult;
+
+    /**
+     * 把 kaomoji 还原为标记
+     */
+    unreplace(text: string, options?: UnreplaceOptions): UnreplaceResult;
+
+    /**
+     * 创建流式替换器
+     */
+    createStream(options?: StreamOptions): KaomojiStream;
+
     /**
      * 批量替换
      */
@@ -161,12 +810,12 @@ export class KaomojiReplacer {
     /**
      * 预览替换
      */
-    preview(text: string): PreviewMarker[];
+    preview(text: string, options?: { skipRegions?: SkipRegionSpec[] }): PreviewMarker[];
 
     /**
      * 查询关键词
      */
-    query(keywords: string, topK?: number): SearchResult[];
+    query(keywords: SearchQuery, topK?: number): SearchResult[];
 
     /**
      * 精确查询
@@ -179,6 +828,62 @@ export class KaomojiReplacer {
     getStats(): ReplacerStats;
 }
 
+/**
+ * toNodeTransform 返回的 Node.js Transform 流（只声明常用成员，不依赖 @types/node）
+ */
+export interface NodeTransform {
+    write(chunk: string | Uint8Array, callback?: (error?: Error | null) => void): boolean;
+    end(chunk?: string | Uint8Array, callback?: () => void): this;
+    pipe<T>(destination: T, options?: { end?: boolean }): T;
+    on(event: string, listener: (...args: any[]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    setEncoding(encoding: string): this;
+    destroy(error?: Error): this;
+    [Symbol.asyncIterator](): AsyncIterableIterator<string>;
+}
+
+/**
+ * KaomojiStream - 流式替换器
+ */
+export class KaomojiStream {
+    constructor(replacer: KaomojiReplacer, options?: StreamOptions);
+
+    replacements: StreamReplacement[];
+    /** 位于跳过区域中的标记（offset 为流中的位置） */
+    skipped: SkippedMarker[];
+    readonly successCount: number;
+    readonly failureCount: number;
+
+    /** 写入一块文本，返回可以立即输出的文本 */
+    write(chunk: string): string;
+    /** 结束流，返回剩余输出 */
+    end(chunk?: string): string;
+    /** 包装为 WHATWG TransformStream */
+    toTransformStream(): TransformStream<string, string>;
+    /** 包装为 Node.js Transform 流（异步：按需加载 stream 模块，需 await） */
+    toNodeTransform(): Promise<NodeTransform>;
+}
+
+/**
+ * RepetitionHistory - 重复抑制历史
+ */
+export class RepetitionHistory {
+    constructor(options?: RepetitionHistoryOptions);
+
+    window: number;
+    mode: RepetitionMode;
+    penalty: number;
+    scope: HistoryScope;
+
+    getRecent(chatId?: string): string[];
+    record(kaomoji: string, chatId?: string): void;
+    clear(chatId?: string): void;
+    session(chatId?: string): { recent(): string[]; record(kaomoji: string): void };
+    apply(matches: SearchResult[], recent: string[]): SearchResult[];
+    export(): HistorySnapshot;
+    import(snapshot: HistorySnapshot | string): void;
+}
+
 /**
  * KaomojiDataManager - 数据管理器
  */
@@ -186,6 +891,7 @@ export class KaomojiDataManager {
     constructor();
 
     kaomojis: KaomojiData[];
+    synonyms: SynonymGroup[];
 
     // 数据加载
     loadFromJSON(jsonString: string): KaomojiDataManager;
@@ -208,6 +914,11 @@ export class KaomojiDataManager {
     setCategory(kaomoji: string, category: string): boolean;
     setWeight(kaomoji: string, weight: number): boolean;
 
+    /**
+     * 设置语言（传入空值时移除）
+     */
+    setLang(kaomoji: string, lang: Language | null): boolean;
+
     // 颜文字管理
     addKaomoji(data: Partial<KaomojiData> & { kaomoji: string; keywords: string[] }): boolean;
     removeKaomoji(kaomoji: string): boolean;
@@ -221,6 +932,16 @@ export class KaomojiDataManager {
     batchSetCategory(kaomojis: string[], category: string): number;
     batchRemove(kaomojis: string[]): number;
     clear(): void;
+
+    // 同义词
+    loadSynonymsFromJSON(jsonString: string): KaomojiDataManager;
+    loadSynonyms(groups: SynonymGroup[]): KaomojiDataManager;
+    getSynonymGroups(): SynonymGroup[];
+    getSynonyms(word: string): string[];
+    /** 与已有同义词组有重叠的词会并入同一组 */
+    addSynonyms(words: string[]): boolean;
+    removeSynonym(word: string): boolean;
+    exportSynonymsToJSON(pretty?: boolean): string;
 }
 
 // ========== 工厂函数 ==========
@@ -228,8 +949,11 @@ export class KaomojiDataManager {
 export interface CreateReplacerOptions {
     kaomojis?: KaomojiData[];
     jsonData?: string;
+    index?: IndexSnapshot | string;
     searchConfig?: SearchConfig;
+    tokenizer?: TokenizerName | Tokenizer | null;
     replaceConfig?: ReplaceConfig;
+    history?: RepetitionHistory | RepetitionHistoryOptions;
 }
 
 /**
@@ -249,9 +973,11 @@ export function createSearchEngine(config?: SearchConfig): SearchEngine;
 
 // ========== 快捷 API ==========
 
-export interface QuickReplaceOptions extends ReplaceOptions {
+export interface QuickReplaceOptions extends Omit<ReplaceOptions, 'history'> {
     searchConfig?: SearchConfig;
     replaceConfig?: ReplaceConfig;
+    /** 传给 createReplacer 的重复抑制历史（实例或其选项） */
+    history?: RepetitionHistory | RepetitionHistoryOptions | null;
 }
 
 /**
@@ -298,6 +1024,38 @@ export function batchReplace(
     options?: QuickReplaceOptions
 ): ReplaceResult[];
 
+/**
+ * 创建带种子的随机数生成器
+ */
+export function createSeededRandom(seed: number | string): RandomSource;
+
+/**
+ * 字符串哈希（FNV-1a，32 位无符号整数）
+ */
+export function hashString(str: string): number;
+
+/** 内置归一化规则（均默认开启） */
+export interface NormalizeOptions {
+    /** 繁体转简体 */
+    traditional?: boolean;
+    /** 全角转半角 */
+    width?: boolean;
+    /** 字母转小写 */
+    case?: boolean;
+}
+
+export type Normalizer = (text: string) => string;
+
+/**
+ * 按内置规则归一化文本
+ */
+export function normalizeText(text: string, options?: NormalizeOptions): string;
+
+/**
+ * 根据配置创建归一化函数（不归一化时返回 null）
+ */
+export function createNormalizer(spec?: boolean | NormalizeOptions | Normalizer | null): Normalizer | null;
+
 // ========== 存储 API (IndexedDB) ==========
 
 /**
@@ -323,6 +1081,16 @@ export function saveKaomojis(data: KaomojiData[]): Promise<boolean>;
  */
 export function clearKaomojis(): Promise<boolean>;
 
+/**
+ * 从 IndexedDB 读取搜索索引快照
+ */
+export function getSearchIndex(): Promise<IndexSnapshot | null>;
+
+/**
+ * 保存搜索索引快照到 IndexedDB（saveKaomojis / clearKaomojis 会删除已保存的快照）
+ */
+export function saveSearchIndex(snapshot: IndexSnapshot): Promise<boolean>;
+
 /**
  * 获取存储统计信息
  */
@@ -340,12 +1108,41 @@ export const VERSION: string;
 export const DEFAULT_CONFIG: {
     search: SearchConfig;
     replace: ReplaceConfig;
+    history: RepetitionHistoryOptions;
 };
 
 export const REPLACE_STRATEGIES: {
     FIRST: 'first';
     BEST: 'best';
     ALL: 'all';
+    WEIGHTED: 'weighted';
+};
+
+export const MARKER_SYNTAXES: {
+    BRACKET: 'bracket';
+    MUSTACHE: 'mustache';
+    COLON: 'colon';
+    XML: 'xml';
+};
+
+/** 内置 emoji → 关键词映射表 */
+export const EMOJI_KEYWORDS: EmojiKeywordMap;
+
+export const SKIP_REGIONS: {
+    MARKDOWN_CODE: 'markdown-code';
+    HTML_COMMENTS: 'html-comments';
+    URLS: 'urls';
+};
+
+export const TOKENIZERS: {
+    NGRAM: 'ngram';
+    MAX_MATCH: 'max-match';
+};
+
+export const LANGUAGES: {
+    ZH: 'zh';
+    JA: 'ja';
+    EN: 'en';
 };
 
 // ========== 默认导出 ==========
@@ -355,6 +1152,17 @@ export interface KaomojiReplacerAPI {
     KaomojiReplacer: typeof KaomojiReplacer;
     SearchEngine: typeof SearchEngine;
     KaomojiDataManager: typeof KaomojiDataManager;
+    RepetitionHistory: typeof RepetitionHistory;
+    KaomojiStream: typeof KaomojiStream;
+
+    // 分词器
+    NgramTokenizer: typeof NgramTokenizer;
+    MaxMatchTokenizer: typeof MaxMatchTokenizer;
+    JapaneseTokenizer: typeof JapaneseTokenizer;
+    EnglishTokenizer: typeof EnglishTokenizer;
+    createTokenizer: typeof createTokenizer;
+    createLanguageTokenizer: typeof createLanguageTokenizer;
+    stemEnglish: typeof stemEnglish;
 
     // 工厂函数
     createReplacer: typeof createReplacer;
@@ -372,12 +1180,18 @@ export interface KaomojiReplacerAPI {
     // 工具函数
     validateData: typeof validateData;
     batchReplace: typeof batchReplace;
+    createSeededRandom: typeof createSeededRandom;
+    hashString: typeof hashString;
+    normalizeText: typeof normalizeText;
+    createNormalizer: typeof createNormalizer;
 
     // 存储 API
     initKaomojiStorage: typeof initKaomojiStorage;
     getKaomojis: typeof getKaomojis;
     saveKaomojis: typeof saveKaomojis;
     clearKaomojis: typeof clearKaomojis;
+    getSearchIndex: typeof getSearchIndex;
+    saveSearchIndex: typeof saveSearchIndex;
     getStorageStats: typeof getStorageStats;
     setDebugMode: typeof setDebugMode;
 
@@ -385,6 +1199,11 @@ export interface KaomojiReplacerAPI {
     VERSION: string;
     DEFAULT_CONFIG: typeof DEFAULT_CONFIG;
     REPLACE_STRATEGIES: typeof REPLACE_STRATEGIES;
+    TOKENIZERS: typeof TOKENIZERS;
+    LANGUAGES: typeof LANGUAGES;
+    SKIP_REGIONS: typeof SKIP_REGIONS;
+    MARKER_SYNTAXES: typeof MARKER_SYNTAXES;
+    EMOJI_KEYWORDS: typeof EMOJI_KEYWORDS;
 }
 
 declare const api: KaomojiReplacerAPI;
@@ -11,6 +11,24 @@
 import KaomojiReplacer from './src/core/KaomojiReplacer.js';
 import SearchEngine from './src/core/SearchEngine.js';
 import KaomojiDataManager from './src/core/KaomojiDataManager.js';
+import RepetitionHistory from './src/core/RepetitionHistory.js';
+import KaomojiStream from './src/core/KaomojiStream.js';
+import { SKIP_REGIONS } from './src/core/SkipRegions.js';
+import { MARKER_SYNTAXES } from './src/core/MarkerSyntax.js';
+import { EMOJI_KEYWORDS } from './src/data/emojiKeywords.js';
+import {
+    NgramTokenizer,
+    MaxMatchTokenizer,
+    JapaneseTokenizer,
+    EnglishTokenizer,
+    TOKENIZERS,
+    LANGUAGES,
+    createTokenizer,
+    createLanguageTokenizer,
+    stemEnglish
+} from './src/core/Tokenizer.js';
+import { createSeededRandom, hashString } from './src/core/SeededRandom.js';
+import { normalizeText, createNormalizer } from './src/core/Normalizer.js';
 
 // 导入存储模块
 import * as IndexedDBStorage from './src/storage/IndexedDBStorage.js';
@@ -22,20 +40,26 @@ import * as IndexedDBStorage from './src/storage/IndexedDBStorage.js';
  * @param {Object} options - 配置选项
  * @param {Array} options.kaomojis - 颜文字数据数组
  * @param {string} options.jsonData - JSON 格式的颜文字数据
- * @param {Object} options.searchConfig - SearchEngine 配置 { k1, b }
+ * @param {Object|string} options.index - 索引快照（SearchEngine.exportIndex 的结果），提供时跳过构建索引
+ * @param {Object} options.searchConfig - SearchEngine 配置 { k1, b, charWeight, tokenizer }
+ * @param {string|Object} options.tokenizer - 分词器（覆盖 searchConfig.tokenizer）：'ngram' | 'max-match' | 自定义分词器对象
  * @param {Object} options.replaceConfig - KaomojiReplacer 配置
+ * @param {RepetitionHistory|Object} options.history - 重复抑制历史实例或其配置 { window, mode, penalty, scope }
  * @returns {KaomojiReplacer} 配置好的 KaomojiReplacer 实例
  */
 function createReplacer(options = {}) {
     const {
         kaomojis = [],
         jsonData = null,
+        index = null,
         searchConfig = {},
-        replaceConfig = {}
+        tokenizer = null,
+        replaceConfig = {},
+        history = null
     } = options;
 
     // 创建搜索引擎
-    const searchEngine = new SearchEngine(searchConfig);
+    const searchEngine = new SearchEngine(tokenizer ? { ...searchConfig, tokenizer } : searchConfig);
 
     // 创建替换器
     const replacer = new KaomojiReplacer(searchEngine);
@@ -45,8 +69,14 @@ function createReplacer(options = {}) {
         replacer.setConfig(replaceConfig);
     }
 
+    if (history) {
+        replacer.setHistory(history instanceof RepetitionHistory ? history : new RepetitionHistory(history));
+    }
+
     // 加载数据
-    if (jsonData) {
+    if (index) {
+        searchEngine.importIndex(index);
+    } else if (jsonData) {
         const manager = new KaomojiDataManager();
         manager.loadFromJSON(jsonData);
         replacer.loadKaomojis(manager.getAllKaomojis());
@@ -99,10 +129,13 @@ function quickReplace(text, kaomojis, options = {}) {
         kaomojis: Array.isArray(kaomojis) ? kaomojis : [],
         jsonData: typeof kaomojis === 'string' ? kaomojis : null,
         searchConfig: options.searchConfig,
-        replaceConfig: options.replaceConfig
+        replaceConfig: options.replaceConfig,
+        history: options.history
     });
 
-    return replacer.replaceText(text, options);
+    // history 已交给替换器（可为 RepetitionHistory 实例或其选项），不再逐次传入
+    const { history, ...replaceOptions } = options;
+    return replacer.replaceText(text, replaceOptions);
 }
 
 /**
@@ -188,6 +221,10 @@ function validateData(data) {
         if (item.weight !== undefined && (typeof item.weight !== 'number' || item.weight <= 0)) {
             errors.push(`Item ${index}: Invalid 'weight' field (must be positive number)`);
         }
+
+        if (item.lang !== undefined && !Object.values(LANGUAGES).includes(item.lang)) {
+            errors.push(`Item ${index}: Invalid 'lang' field (must be one of ${Object.values(LANGUAGES).join(', ')})`);
+        }
     });
 
     return {
@@ -208,10 +245,13 @@ function batchReplace(texts, kaomojis, options = {}) {
         kaomojis: Array.isArray(kaomojis) ? kaomojis : [],
         jsonData: typeof kaomojis === 'string' ? kaomojis : null,
         searchConfig: options.searchConfig,
-        replaceConfig: options.replaceConfig
+        replaceConfig: options.replaceConfig,
+        history: options.history
     });
 
-    return replacer.replaceMultiple(texts, options);
+    // history 已交给替换器（可为 RepetitionHistory 实例或其选项），不再逐次传入
+    const { history, ...replaceOptions } = options;
+    return replacer.replaceMultiple(texts, replaceOptions);
 }
 
 // ========== 常量 ==========
@@ -221,19 +261,32 @@ const VERSION = '1.2.2';
 const DEFAULT_CONFIG = {
     search: {
         k1: 1.5,
-        b: 0.75
+        b: 0.75,
+        tokenizer: 'ngram',
+        tieBreak: 'random'
     },
     replace: {
-        markerPattern: /\[kaomoji:([^\]]+)\]/gi,
+        markerPattern: /\[kaomoji(?:@(?<category>[^:\]]+))?:(?<keywords>[^\]]+)\]/gi,
+        markerSyntaxes: ['bracket'],
         keywordSeparator: ',',
-        replaceStrategy: 'best'
+        optionSeparator: '|',
+        replaceStrategy: 'best',
+        skipRegions: [],
+        escapeChar: '\\'
+    },
+    history: {
+        window: 5,
+        mode: 'penalty',
+        penalty: 0.5,
+        scope: 'chat'
     }
 };
 
 const REPLACE_STRATEGIES = {
     FIRST: 'first',    // 使用第一个匹配结果
     BEST: 'best',      // 使用最佳匹配结果（默认）
-    ALL: 'all'         // 返回所有匹配结果
+    ALL: 'all',        // 返回所有匹配结果
+    WEIGHTED: 'weighted' // 按分数加权随机选择（temperature 控制随机程度）
 };
 
 // ========== 导出 ==========
@@ -243,6 +296,17 @@ export {
     KaomojiReplacer,
     SearchEngine,
     KaomojiDataManager,
+    RepetitionHistory,
+    KaomojiStream,
+
+    // 分词器
+    NgramTokenizer,
+    MaxMatchTokenizer,
+    JapaneseTokenizer,
+    EnglishTokenizer,
+    createTokenizer,
+    createLanguageTokenizer,
+    stemEnglish,
 
     // 工厂函数
     createReplacer,
@@ -260,6 +324,10 @@ export {
     // 工具函数
     validateData,
     batchReplace,
+    createSeededRandom,
+    hashString,
+    normalizeText,
+    createNormalizer,
 
     // 存储 API (IndexedDB)
     IndexedDBStorage,
@@ -267,7 +335,12 @@ export {
     // 常量
     VERSION,
     DEFAULT_CONFIG,
-    REPLACE_STRATEGIES
+    REPLACE_STRATEGIES,
+    TOKENIZERS,
+    LANGUAGES,
+    SKIP_REGIONS,
+    MARKER_SYNTAXES,
+    EMOJI_KEYWORDS
 };
 
 // 导出 IndexedDB 存储函数（解构便于使用）
@@ -276,6 +349,8 @@ export const {
     getKaomojis,
     saveKaomojis,
     clearKaomojis,
+    getSearchIndex,
+    saveSearchIndex,
     getStorageStats,
     setDebugMode
 } = IndexedDBStorage;
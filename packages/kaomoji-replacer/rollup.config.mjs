@@ -18,7 +18,7 @@ const config = [
       format: 'esm',
       banner
     },
-    external: ['fs']
+    external: ['fs', 'stream', 'string_decoder']
   },
 
   // CommonJS build
@@ -30,7 +30,7 @@ const config = [
       banner,
       exports: 'named'
     },
-    external: ['fs']
+    external: ['fs', 'stream', 'string_decoder']
   },
 
   // UMD build (unminified) - for browsers
@@ -43,7 +43,9 @@ const config = [
       banner,
       exports: 'named',
       globals: {
-        'fs': 'fs'
+        'fs': 'fs',
+        'stream': 'stream',
+        'string_decoder': 'string_decoder'
       }
     },
     plugins: [
@@ -53,7 +55,7 @@ const config = [
       }),
       commonjs()
     ],
-    external: ['fs']
+    external: ['fs', 'stream', 'string_decoder']
   },
 
   // UMD build (minified) - for browsers
@@ -67,7 +69,9 @@ const config = [
       exports: 'named',
       sourcemap: true,
       globals: {
-        'fs': 'fs'
+        'fs': 'fs',
+        'stream': 'stream',
+        'string_decoder': 'string_decoder'
       }
     },
     plugins: [
@@ -84,7 +88,7 @@ const config = [
         }
       })
     ],
-    external: ['fs']
+    external: ['fs', 'stream', 'string_decoder']
   }
 ];
 
@@ -3,9 +3,12 @@
  * 颜文字数据管理类 - 完整 CRUD
  */
 
+import { LANGUAGES } from './Tokenizer.js';
+
 class KaomojiDataManager {
     constructor() {
         this.kaomojis = [];
+        this.synonyms = [];   // 同义词组，每组中的词互为同义词
     }
 
     // ========== 数据加载 ==========
@@ -61,6 +64,11 @@ class KaomojiDataManager {
             return false;
         }
 
+        if (item.lang !== undefined && !Object.values(LANGUAGES).includes(item.lang)) {
+            console.warn(`Item ${index}: Unsupported 'lang' field "${item.lang}", skipping`);
+            return false;
+        }
+
         return true;
     }
 
@@ -69,12 +77,18 @@ class KaomojiDataManager {
      * @private
      */
     _normalizeItem(item) {
-        return {
+        const normalized = {
             kaomoji: item.kaomoji,
             keywords: item.keywords.map(k => String(k).trim()).filter(k => k.length > 0),
             weight: typeof item.weight === 'number' ? item.weight : 1.0,
             category: item.category || ''
         };
+
+        // lang 为可选字段，未设置时不写入（保持导出数据不变）
+        if (item.lang) {
+            normalized.lang = item.lang;
+        }
+        return normalized;
     }
 
     /**
@@ -84,12 +98,17 @@ class KaomojiDataManager {
      * @returns {Object} 深拷贝的对象
      */
     _deepCopy(item) {
-        return {
+        const copy = {
             kaomoji: item.kaomoji,
             keywords: [...item.keywords],
             weight: item.weight,
             category: item.category
         };
+
+        if (item.lang) {
+            copy.lang = item.lang;
+        }
+        return copy;
     }
 
     // ========== 读取操作 ==========
@@ -322,11 +341,38 @@ class KaomojiDataManager {
         return true;
     }
 
+    /**
+     * 设置语言
+     * @param {string} kaomoji - 颜文字文本
+     * @param {string|null} lang - 语言代码（'zh' | 'ja' | 'en'），传入空值时移除
+     * @returns {boolean} 是否成功
+     */
+    setLang(kaomoji, lang) {
+        const item = this.kaomojis.find(e => e.kaomoji === kaomoji);
+        if (!item) {
+            console.warn(`Kaomoji "${kaomoji}" not found`);
+            return false;
+        }
+
+        if (!lang) {
+            delete item.lang;
+            return true;
+        }
+
+        if (!Object.values(LANGUAGES).includes(lang)) {
+            console.warn(`Unsupported language "${lang}"`);
+            return false;
+        }
+
+        item.lang = lang;
+        return true;
+    }
+
     // ========== 颜文字管理 ==========
 
     /**
      * 添加新颜文字
-     * @param {Object} data - 颜文字数据 { kaomoji, keywords, weight?, category? }
+     * @param {Object} data - 颜文字数据 { kaomoji, keywords, weight?, category?, lang? }
      * @returns {boolean} 是否成功
      */
     addKaomoji(data) {
@@ -447,6 +493,115 @@ class KaomojiDataManager {
     clear() {
         this.kaomojis = [];
     }
+
+    // ========== 同义词 ==========
+
+    /**
+     * 从 JSON 字符串加载同义词表
+     * @param {string} jsonString - JSON 字符串，格式为同义词组数组 [["开心", "高兴"], ...]
+     * @returns {KaomojiDataManager} 链式调用
+     */
+    loadSynonymsFromJSON(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            console.error('Failed to parse JSON:', error);
+            throw new Error('Invalid JSON format');
+        }
+        return this.loadSynonyms(data);
+    }
+
+    /**
+     * 加载同义词表（替换原有的同义词表）
+     * @param {Array} groups - 同义词组数组
+     * @returns {KaomojiDataManager} 链式调用
+     */
+    loadSynonyms(groups) {
+        if (!Array.isArray(groups)) {
+            throw new Error('Synonyms must be an array');
+        }
+
+        this.synonyms = [];
+        groups.forEach((group, index) => {
+            if (!Array.isArray(group)) {
+                console.warn(`Synonym group ${index}: Must be an array, skipping`);
+                return;
+            }
+            if (!this.addSynonyms(group)) {
+                console.warn(`Synonym group ${index}: Needs at least two words, skipping`);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * 获取所有同义词组（深拷贝，可直接传给 SearchEngine.setSynonyms）
+     * @returns {Array} 同义词组数组
+     */
+    getSynonymGroups() {
+        return this.synonyms.map(group => [...group]);
+    }
+
+    /**
+     * 获取某个词的同义词
+     * @param {string} word - 词
+     * @returns {Array} 同义词列表（没有同义词时为空数组）
+     */
+    getSynonyms(word) {
+        const group = this.synonyms.find(g => g.includes(word));
+        return group ? group.filter(w => w !== word) : [];
+    }
+
+    /**
+     * 添加同义词：与已有同义词组有重叠的词会并入同一组（必要时合并多个组）
+     * @param {Array} words - 互为同义词的词列表
+     * @returns {boolean} 是否成功（有效的词少于两个时返回 false）
+     */
+    addSynonyms(words) {
+        const validWords = [...new Set(words.map(w => String(w).trim()).filter(w => w.length > 0))];
+        if (validWords.length < 2) {
+            return false;
+        }
+
+        const overlapping = this.synonyms.filter(group => group.some(w => validWords.includes(w)));
+        const merged = [...new Set([...overlapping.flat(), ...validWords])];
+
+        this.synonyms = this.synonyms.filter(group => !overlapping.includes(group));
+        this.synonyms.push(merged);
+        return true;
+    }
+
+    /**
+     * 从同义词表中删除某个词（所在的组只剩一个词时整组删除）
+     * @param {string} word - 词
+     * @returns {boolean} 是否成功（未找到时返回 false）
+     */
+    removeSynonym(word) {
+        const index = this.synonyms.findIndex(g => g.includes(word));
+        if (index === -1) {
+            console.warn(`Synonym "${word}" not found`);
+            return false;
+        }
+
+        const remaining = this.synonyms[index].filter(w => w !== word);
+        if (remaining.length >= 2) {
+            this.synonyms[index] = remaining;
+        } else {
+            this.synonyms.splice(index, 1);
+        }
+        return true;
+    }
+
+    /**
+     * 导出同义词表为 JSON 字符串
+     * @param {boolean} pretty - 是否格式化输出
+     * @returns {string} JSON 字符串
+     */
+    exportSynonymsToJSON(pretty = true) {
+        return JSON.stringify(this.synonyms, null, pretty ? 2 : 0);
+    }
 }
 
 // ES Modules 导出
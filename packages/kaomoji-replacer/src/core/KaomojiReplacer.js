@@ -4,19 +4,207 @@
  * 负责检测文本中的标记并替换为对应的 kaomoji
  */
 
+import { createSeededRandom } from './SeededRandom.js';
+import KaomojiStream from './KaomojiStream.js';
+import { findSkipRegions } from './SkipRegions.js';
+import { parseAttributes, resolveSyntax } from './MarkerSyntax.js';
+import { EMOJI_KEYWORDS } from '../data/emojiKeywords.js';
+
+/**
+ * 标记内联选项语法: [kaomoji:关键词1,关键词2|n=2|strategy=all|min=1.5]
+ * 键名 → { 对应的 replaceText 选项名, 值解析函数（值无效时返回 undefined） }
+ */
+const MARKER_OPTIONS = {
+    // 候选数量（all 策略下即输出数量）
+    n: {
+        name: 'topK',
+        parse: value => /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : undefined
+    },
+    // 替换策略
+    strategy: {
+        name: 'strategy',
+        parse: value => strategies.has(value) ? value : undefined
+    },
+    // weighted 策略的温度
+    temp: {
+        name: 'temperature',
+        parse: value => value !== '' && Number(value) > 0 && Number.isFinite(Number(value)) ? Number(value) : undefined
+    },
+    // 最低分数阈值
+    min: {
+        name: 'threshold',
+        parse: value => value !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined
+    }
+};
+
+/**
+ * 在匹配结果中按分数加权随机选择一个
+ * 选中概率与 score^(1/temperature) 成正比：temperature 为 1 时与分数成正比，
+ * 趋近 0 时接近总选最高分，越大越接近均匀随机
+ * @param {Array} matches - 排序后的匹配结果
+ * @param {number} temperature - 温度（> 0）
+ * @param {Function} random - 返回 [0, 1) 的随机数函数
+ * @returns {Object} 选中的匹配结果
+ */
+function sampleWeighted(matches, temperature, random) {
+    // 先按最高分归一化，避免低温度时幂运算溢出
+    const maxScore = Math.max(...matches.map(m => m.score));
+    const weights = matches.map(m => maxScore > 0 ? Math.pow(Math.max(m.score, 0) / maxScore, 1 / temperature) : 1);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    let r = random() * total;
+    for (let i = 0; i < matches.length; i++) {
+        r -= weights[i];
+        if (r < 0) return matches[i];
+    }
+
+    return matches[matches.length - 1];
+}
+
+/**
+ * 句子：到句末标点（连同其后的右引号 / 右括号）、换行前或文末为止；
+ * 英文句点只有后面是空白或文末时才算句末，避免拆开小数和缩写
+ */
+const SENTENCE_PATTERN = /[^。！？!?…~～\n]+?(?:[。！？!?…~～]+[」』”’"')）]*|\.(?=\s|$)|(?=\n)|$)/g;
+
+/**
+ * 把文本切分为句子
+ * @param {string} text - 文本
+ * @returns {Array} [{ text, start, end, contentEnd }]，text 已去掉首尾空白，
+ *   contentEnd 为句末标点之前的位置（没有句末标点时等于 end）
+ */
+function splitSentences(text) {
+    const sentences = [];
+    const regex = new RegExp(SENTENCE_PATTERN.source, 'g');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+        const raw = match[0];
+        const trimmed = raw.trim();
+        if (trimmed.length === 0) continue;
+
+        const start = match.index + (raw.length - raw.trimStart().length);
+        const end = start + trimmed.length;
+        const punctuation = trimmed.match(/(?:[。！？!?…~～]+[」』”’"')）]*|\.)$/);
+
+        sentences.push({
+            text: trimmed,
+            start,
+            end,
+            contentEnd: punctuation ? end - punctuation[0].length : end
+        });
+    }
+
+    return sentences;
+}
+
+/**
+ * emoji 序列：emoji 加可选的变体选择符与肤色修饰符，ZWJ 组合序列作为一个整体
+ */
+const EMOJI_PATTERN = /\p{Extended_Pictographic}[\uFE0E\uFE0F]?[\u{1F3FB}-\u{1F3FF}]?(?:\u200D\p{Extended_Pictographic}[\uFE0E\uFE0F]?[\u{1F3FB}-\u{1F3FF}]?)*/gu;
+
+/**
+ * 查找 emoji 序列对应的关键词
+ * 先去掉变体选择符与肤色修饰符查整个序列，ZWJ 组合序列没有条目时合并各组成部分的关键词
+ * @param {string} emoji - emoji 序列
+ * @param {Object} table - emoji → 关键词数组（或逗号分隔的字符串）
+ * @returns {Array} 关键词（没有对应条目时为空数组）
+ */
+function lookupEmoji(emoji, table) {
+    const lookup = key => {
+        const entry = table[key];
+        if (!entry) return [];
+        return Array.isArray(entry) ? entry : String(entry).split(',').map(k => k.trim()).filter(Boolean);
+    };
+
+    const key = emoji.replace(/[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '');
+    const keywords = lookup(key);
+    if (keywords.length > 0 || !key.includes('\u200D')) {
+        return keywords;
+    }
+
+    return [...new Set(key.split('\u200D').flatMap(lookup))];
+}
+
+/**
+ * 把一次后续处理（在已替换的文本上进行）产生的映射合并进已有映射
+ * 已有片段按其前面新片段带来的长度变化后移；新片段不会与已有片段重叠
+ * @param {Array} mapping - 已有映射（原地更新）
+ * @param {Array} added - 新映射片段（位置为处理后文本中的位置）
+ * @param {Array} sources - 与 added 一一对应的处理前位置 [{ offset, length }]
+ */
+function mergeMapping(mapping, added, sources) {
+    mapping.forEach(span => {
+        const shift = sources.reduce((sum, source, i) =>
+            source.offset <= span.start ? sum + added[i].output.length - source.length : sum, 0);
+        span.start += shift;
+        span.end += shift;
+    });
+    mapping.push(...added);
+    mapping.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 替换策略注册表: 名称 → 选择函数
+ * 选择函数签名: (marker, keywords, matches, context) => 替换结果，详见 KaomojiReplacer.registerStrategy
+ */
+const strategies = new Map();
+
 class KaomojiReplacer {
+    /**
+     * 注册替换策略（同名时覆盖，包括内置策略）
+     * 选择函数参数：
+     * - marker: 标记信息 { match, keywordsStr, category, offset, options }
+     * - keywords: 解析后的关键词数组
+     * - matches: 按分数排序的匹配结果（非空）
+     * - context: { replacer, strategy, options, temperature, random, chatId, index }
+     * 返回值：替换字符串、单个匹配结果、匹配结果数组（以空格连接），
+     * 返回 null / undefined / 空字符串表示放弃替换（按未找到处理）
+     * @param {string} name - 策略名称
+     * @param {Function} fn - 选择函数
+     */
+    static registerStrategy(name, fn) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Strategy name must be a non-empty string');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Strategy "${name}" must be a function`);
+        }
+        strategies.set(name, fn);
+    }
+
+    /**
+     * 获取已注册的策略名称
+     * @returns {Array} 策略名称列表
+     */
+    static getStrategies() {
+        return [...strategies.keys()];
+    }
+
     constructor(searchEngine) {
         this.searchEngine = searchEngine;
 
         // 标记格式配置
         this.config = {
-            // 标记的正则表达式: [kaomoji:关键词1,关键词2,...]
-            markerPattern: /\[kaomoji:([^\]]+)\]/gi,
+            // 标记的正则表达式: [kaomoji:关键词1,关键词2,...] 或 [kaomoji@分类:关键词1,...]
+            // 使用命名捕获组 keywords / category；没有命名组时取第一个捕获组作为关键词
+            markerPattern: /\[kaomoji(?:@(?<category>[^:\]]+))?:(?<keywords>[^\]]+)\]/gi,
+            // 同时识别的标记语法：内置名称 'bracket'（即 markerPattern）| 'mustache' | 'colon' | 'xml'，或自定义语法对象
+            markerSyntaxes: ['bracket'],
             // 分隔符
             keywordSeparator: ',',
-            // 替换策略: 'first' | 'best' | 'all'
-            replaceStrategy: 'best'
+            // 内联选项分隔符（关键词之后的 |n=2|strategy=all|min=1.5）
+            optionSeparator: '|',
+            // 替换策略: 'first' | 'best' | 'all' | 'weighted'
+            replaceStrategy: 'best',
+            // 跳过区域：这些区域中的标记保持原样，如 ['markdown-code', 'html-comments', 'urls']
+            skipRegions: [],
+            // 转义字符：\[kaomoji:开心] 输出字面量 [kaomoji:开心]，\\[kaomoji:开心] 输出 \ 加替换结果；null 表示不支持转义
+            escapeChar: '\\'
         };
+
+        // 重复抑制历史（RepetitionHistory 实例，null 表示不启用）
+        this.history = null;
     }
 
     /**
@@ -27,6 +215,14 @@ class KaomojiReplacer {
         Object.assign(this.config, config);
     }
 
+    /**
+     * 设置重复抑制历史，在多次 replaceText 调用之间共享
+     * @param {RepetitionHistory|null} history - 历史实例，null 表示关闭
+     */
+    setHistory(history) {
+        this.history = history || null;
+    }
+
     /**
      * 加载 kaomoji 数据
      * @param {Array} kaomojis - kaomoji 数据数组
@@ -35,104 +231,472 @@ class KaomojiReplacer {
         this.searchEngine.buildIndex(kaomojis);
     }
 
+    /**
+     * 获取当前配置的标记语法定义
+     * @private
+     * @returns {Array} 标记语法定义列表
+     */
+    _getSyntaxes() {
+        return (this.config.markerSyntaxes || ['bracket']).map(spec => resolveSyntax(spec, this.config));
+    }
+
+    /**
+     * 查找文本中的所有标记（所有标记语法一次处理）
+     * 不同语法的匹配重叠时，保留起点靠前的；起点相同时保留较长的，再相同时按语法顺序
+     * @private
+     * @param {string} text - 输入文本
+     * @returns {Array} [{ match, keywordsStr, category, offset, syntax, definition, attributes }]
+     */
+    _findMarkers(text) {
+        const candidates = [];
+
+        this._getSyntaxes().forEach((definition, order) => {
+            const pattern = definition.pattern;
+            const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+            const regex = new RegExp(pattern.source, flags);
+            let match;
+
+            while ((match = regex.exec(text)) !== null) {
+                // 避免空匹配导致死循环
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+
+                const groups = match.groups || {};
+                let category = groups.category ? groups.category.trim() : null;
+                let attributes = [];
+
+                // 属性风格的选项：category 属性即分类，其余为选项
+                if (definition.optionStyle === 'attributes') {
+                    attributes = parseAttributes(groups.options || '');
+                    const categoryAttr = attributes.find(([key]) => key === 'category');
+                    if (categoryAttr && categoryAttr[1].trim()) {
+                        category = categoryAttr[1].trim();
+                    }
+                    attributes = attributes.filter(([key]) => key !== 'category');
+                }
+
+                candidates.push({
+                    match: match[0],
+                    keywordsStr: groups.keywords !== undefined ? groups.keywords : (match[1] || ''),
+                    category,
+                    offset: match.index,
+                    syntax: definition.name,
+                    definition,
+                    attributes,
+                    order
+                });
+            }
+        });
+
+        candidates.sort((a, b) => a.offset - b.offset || b.match.length - a.match.length || a.order - b.order);
+
+        // 去掉与已选标记重叠的匹配
+        const markers = [];
+        let end = 0;
+        candidates.forEach(({ order, ...marker }) => {
+            if (marker.offset < end) return;
+            markers.push(marker);
+            end = marker.offset + marker.match.length;
+        });
+
+        return markers;
+    }
+
+    /**
+     * 拆分标记中的关键词部分与选项
+     * inline 语法的选项写在关键词之后：|键=值；attributes 语法的选项为 键="值" 属性。
+     * 支持 n（候选数量）、strategy（替换策略）、min（最低分数）、temp（weighted 策略的温度）；
+     * 无法识别的键或无效的值不会生效，而是记录在 optionErrors 中
+     * @private
+     * @param {Object} marker - _findMarkers 返回的标记
+     * @returns {Object} { keywordsStr, options, optionErrors }
+     */
+    _parseMarkerOptions(marker) {
+        const { keywordsStr, definition } = marker;
+
+        if (definition.optionStyle === 'attributes') {
+            return { keywordsStr, ...this._resolveOptions(marker.attributes) };
+        }
+
+        const separator = definition.optionSeparator;
+        if (!separator || !keywordsStr.includes(separator)) {
+            return { keywordsStr, options: {}, optionErrors: [] };
+        }
+
+        const [keywordsPart, ...parts] = keywordsStr.split(separator);
+        const entries = parts
+            .map(part => part.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const eq = entry.indexOf('=');
+                return eq === -1 ? entry : [entry.slice(0, eq).trim(), entry.slice(eq + 1).trim()];
+            });
+
+        return { keywordsStr: keywordsPart, ...this._resolveOptions(entries) };
+    }
+
+    /**
+     * 校验并转换选项
+     * @private
+     * @param {Array} entries - [key, value] 键值对，无法拆分的条目为原字符串
+     * @returns {Object} { options, optionErrors }
+     */
+    _resolveOptions(entries) {
+        const options = {};
+        const optionErrors = [];
+
+        entries.forEach(entry => {
+            if (typeof entry === 'string') {
+                optionErrors.push(`Malformed option "${entry}", expected key=value`);
+                return;
+            }
+
+            const [key, value] = entry;
+            const spec = Object.prototype.hasOwnProperty.call(MARKER_OPTIONS, key) ? MARKER_OPTIONS[key] : null;
+
+            if (!spec) {
+                optionErrors.push(`Unknown option "${key}"`);
+                return;
+            }
+
+            const parsed = spec.parse(value);
+            if (parsed === undefined) {
+                optionErrors.push(`Invalid value "${value}" for option "${key}"`);
+                return;
+            }
+
+            options[spec.name] = parsed;
+        });
+
+        return { options, optionErrors };
+    }
+
+    /**
+     * 解析标记中的关键词
+     * 关键词前缀 "+" 表示必须命中（must），"-" 表示必须不命中（mustNot），
+     * 如 [kaomoji:+猫,开心,-哭]；没有前缀时为普通关键词（should）
+     * @private
+     * @param {string} keywordsStr - 标记中的关键词字符串
+     * @param {string} separator - 关键词分隔符（默认 config.keywordSeparator）
+     * @returns {Object} { keywords, query } - query 为传给 SearchEngine.search 的查询：
+     *   没有前缀关键词时为以空格连接的字符串，否则为 { must, should, mustNot }
+     */
+    _parseKeywords(keywordsStr, separator = this.config.keywordSeparator) {
+        const keywords = keywordsStr
+            .split(separator)
+            .map(k => k.trim())
+            .filter(k => k.length > 0);
+
+        const must = [];
+        const should = [];
+        const mustNot = [];
+
+        keywords.forEach(keyword => {
+            const term = keyword.slice(1).trim();
+
+            if (keyword[0] === '+' && term) {
+                must.push(term);
+            } else if (keyword[0] === '-' && term) {
+                mustNot.push(term);
+            } else {
+                should.push(keyword);
+            }
+        });
+
+        const query = must.length > 0 || mustNot.length > 0
+            ? { must, should, mustNot }
+            : should.join(' ');
+
+        return { keywords, query };
+    }
+
     /**
      * 处理文本，替换所有标记为 kaomoji
+     * 标记可以带内联选项覆盖本次调用的 strategy / threshold / 候选数量，
+     * 如 [kaomoji:开心,害羞|n=2|strategy=all|min=1.5]
      * @param {string} text - 输入文本
      * @param {Object} options - 替换选项
-     * @returns {Object} 包含替换后的文本和替换信息
+     * @param {string} options.strategy - 替换策略
+     * @param {number} options.threshold - 最低分数阈值
+     * @param {number} options.temperature - weighted 策略的温度（默认 1，越小越偏向高分）
+     * @param {boolean} options.keepOriginalOnNotFound - 找不到时保留原标记
+     * @param {boolean} options.markNotFound - 找不到时标记为 [?...]
+     * @param {number|string} options.seed - 随机种子（相同种子与输入得到相同输出）
+     * @param {Function} options.random - 随机数来源（返回 [0, 1)，优先于 seed，可在多次调用间共享同一序列）
+     * @param {string} options.tieBreak - 同分排序方式：'random' | 'stable' | 'weight'
+     * @param {string|Array} options.categories - 只在这些分类中挑选（标记自带分类时以标记为准）
+     * @param {string|Array} options.excludeCategories - 排除这些分类
+     * @param {RepetitionHistory|null} options.history - 重复抑制历史（默认使用 setHistory 设置的实例，null 表示本次不启用）
+     * @param {string} options.chatId - 聊天 ID，history 作用范围为 chat 时按此分别记录
+     * @param {Array} options.skipRegions - 跳过区域（预设名称 / RegExp / 函数），默认使用 config.skipRegions
+     * @param {boolean|Object} options.context - 结合标记周围的文本挑选 kaomoji（true 即 { window: 'sentence' }）：
+     *   window 为 'sentence'（标记所在句子，标记单独成句时取前一句，默认）或字符数 N（标记前后各 N 个字符），
+     *   weight 为上下文词得分的权重（默认 0.3）；上下文只影响已匹配结果的排序
+     * @param {boolean|Object} options.convertEmoji - 把 emoji 转换为 kaomoji（true 或 convertEmoji 的选项）
+     * @param {boolean|Object} options.autoInsert - 文本中没有任何标记时自动插入 kaomoji（true 或 autoInsert 的选项，
+     *   另支持 onlyWithoutMarkers: false 表示有标记或转换了 emoji 时也插入；已替换的标记所在句子不会再插入）
+     * @returns {Object} 包含替换后的文本和替换信息（跳过的标记记录在 skipped 中，转义的标记记录在 escaped 中，
+     *   emoji 转换记录在 emojiConversions 中，自动插入记录在 insertions 中）；
+     *   mapping 列出输出中与原文不同的片段 [{ start, end, output, original, kind }]，可交给 unreplace 还原原文
      */
     replaceText(text, options = {}) {
         const {
             strategy = this.config.replaceStrategy,
             threshold = 0,
+            temperature = 1,
             keepOriginalOnNotFound = true,
-            markNotFound = false
+            markNotFound = false,
+            seed,
+            random: randomSource,
+            tieBreak,
+            categories,
+            excludeCategories,
+            history = this.history,
+            chatId,
+            skipRegions = this.config.skipRegions,
+            context = false,
+            convertEmoji = false,
+            autoInsert = false
         } = options;
 
-        let result = text;
+        // 本次调用的搜索选项（带种子时整次调用共享同一个随机序列）
+        const searchOptions = this._createSearchOptions({ seed, random: randomSource, tieBreak, categories, excludeCategories });
+        const random = searchOptions.random || this.searchEngine.random;
+
+        if (!(temperature > 0)) {
+            throw new Error(`Invalid temperature: ${temperature}`);
+        }
+
+        // 重复抑制：本次调用的历史会话
+        const historySession = history ? history.session(chatId) : null;
+
+        const regions = findSkipRegions(text, skipRegions);
+
+        const escapeChar = this.config.escapeChar;
         const replacements = [];
+        const skipped = [];
+        const escaped = [];
+        const mapping = [];
         let matchIndex = 0;
+        let result = '';
+        let lastIndex = 0;
+
+        const contextOptions = context === true ? {} : context;
+        let contextText = null;
+        if (contextOptions) {
+            const { window = 'sentence' } = contextOptions;
+            if (window !== 'sentence' && !(Number.isInteger(window) && window > 0)) {
+                throw new Error(`Invalid context window: ${window}`);
+            }
+        }
 
         // 查找所有标记
-        result = result.replace(this.config.markerPattern, (match, keywordsStr, offset) => {
-            // 解析关键词
-            const keywords = keywordsStr
-                .split(this.config.keywordSeparator)
-                .map(k => k.trim())
-                .filter(k => k.length > 0);
+        const markers = this._findMarkers(text);
+        markers.forEach(marker => {
+            const { match, category, offset } = marker;
+            const region = this._findRegion(regions, offset, match.length);
+
+            // 标记前紧挨的转义字符：每两个输出一个字面量，剩下一个时标记被转义
+            const escapes = region ? 0 : this._countEscapes(text, lastIndex, offset);
+            const escapeStart = offset - escapes * (escapeChar ? escapeChar.length : 0);
+            const prefix = escapes > 0 ? escapeChar.repeat(Math.floor(escapes / 2)) : '';
+            const original = text.slice(escapeStart, offset + match.length);
+
+            result += text.slice(lastIndex, escapeStart);
+            lastIndex = offset + match.length;
+
+            // 输出标记（含其前面的转义字符）对应的文本，与原文不同时记录映射
+            const emit = (output, kind) => {
+                if (output !== original) {
+                    mapping.push({ start: result.length, end: result.length + output.length, output, original, kind });
+                }
+                result += output;
+            };
+
+            // 位于跳过区域中的标记保持原样
+            if (region) {
+                skipped.push({ original: match, offset: offset, syntax: marker.syntax, region: region.region });
+                emit(match, 'skipped');
+                return;
+            }
+
+            if (escapes % 2 === 1) {
+                escaped.push({ original: match, offset: offset, syntax: marker.syntax });
+                emit(prefix + match, 'escaped');
+                return;
+            }
+
+            // 解析内联选项与关键词（内联选项优先于调用选项）
+            const { keywordsStr, options: markerOptions, optionErrors } = this._parseMarkerOptions(marker);
+            const { keywords, query } = this._parseKeywords(keywordsStr, marker.definition.keywordSeparator);
+            const markerStrategy = markerOptions.strategy || strategy;
+            const markerThreshold = markerOptions.threshold !== undefined ? markerOptions.threshold : threshold;
+            const topK = markerOptions.topK || 5;
 
             if (keywords.length === 0) {
-                return keepOriginalOnNotFound ? match : '';
-            }
-
-            // 搜索匹配的 kaomoji
-            const searchText = keywords.join(' ');
-            const matches = this.searchEngine.search(searchText, 5, threshold);
-
-            let replacement = '';
-            let selectedKaomoji = null;
-
-            if (matches.length > 0) {
-                // 根据策略选择 kaomoji
-                switch (strategy) {
-                    case 'first':
-                        selectedKaomoji = matches[0];
-                        replacement = matches[0].kaomoji;
-                        break;
-
-                    case 'best':
-                        // 选择分数最高的
-                        selectedKaomoji = matches[0];
-                        replacement = matches[0].kaomoji;
-                        break;
-
-                    case 'all':
-                        // 返回所有匹配的 kaomoji
-                        replacement = matches.map(m => m.kaomoji).join(' ');
-                        selectedKaomoji = matches;
-                        break;
-
-                    default:
-                        selectedKaomoji = matches[0];
-                        replacement = matches[0].kaomoji;
+                emit(prefix + (keepOriginalOnNotFound ? match : ''), 'notFound');
+                return;
+            }
+
+            // 搜索匹配的 kaomoji（标记中的分类优先于选项中的分类）
+            const markerSearchOptions = category
+                ? { ...searchOptions, categories: [category] }
+                : { ...searchOptions };
+            if (contextOptions) {
+                // 上下文词：窗口内出现的词表关键词（不含标记自身的关键词）
+                contextText = contextText || this._contextText(text, markers);
+                markerSearchOptions.contextTerms = this.searchEngine
+                    .findTerms(this._contextWindow(contextText, marker, contextOptions.window || 'sentence'))
+                    .filter(term => !keywords.some(keyword => this.searchEngine.normalize(keyword) === term));
+                markerSearchOptions.contextWeight = contextOptions.weight;
+            }
+            let matches;
+            if (historySession) {
+                // 多取几个候选，以便跳过或降权最近用过的 kaomoji 后仍有足够结果
+                const recent = historySession.recent();
+                matches = history
+                    .apply(this.searchEngine.search(query, topK + recent.length, markerThreshold, markerSearchOptions), recent)
+                    .slice(0, topK);
+            } else {
+                matches = this.searchEngine.search(query, topK, markerThreshold, markerSearchOptions);
+            }
+
+            // 根据策略选择 kaomoji（未注册的策略按 best 处理）
+            const selection = matches.length > 0
+                ? this._applyStrategy(
+                    strategies.has(markerStrategy) ? markerStrategy : 'best',
+                    { match, keywordsStr, category, offset, syntax: marker.syntax, options: markerOptions },
+                    keywords,
+                    matches,
+                    {
+                        replacer: this,
+                        strategy: markerStrategy,
+                        options,
+                        temperature: markerOptions.temperature || temperature,
+                        random,
+                        chatId,
+                        index: matchIndex
+                    }
+                )
+                : null;
+
+            if (selection) {
+                const { replacement, selected } = selection;
+
+                if (historySession) {
+                    if (selected) {
+                        (Array.isArray(selected) ? selected : [selected])
+                            .forEach(m => historySession.record(m.kaomoji));
+                    } else {
+                        historySession.record(replacement);
+                    }
                 }
 
+                // 参与计分的上下文词（多个选中结果时取并集）
+                const contextTerms = [...new Set(
+                    (Array.isArray(selected) ? selected : [selected])
+                        .flatMap(m => (m && m.contextTerms) || [])
+                )];
+
                 // 记录替换信息
                 replacements.push({
                     index: matchIndex++,
                     original: match,
+                    syntax: marker.syntax,
                     keywords: keywords,
+                    query: query,
+                    category: category,
                     kaomoji: replacement,
                     offset: offset,
                     matches: matches,
-                    selected: selectedKaomoji
+                    selected: selected,
+                    contextTerms: contextTerms,
+                    options: markerOptions,
+                    optionErrors: optionErrors
                 });
 
-                return replacement;
+                emit(prefix + replacement, 'replacement');
             } else {
                 // 没有找到匹配的 kaomoji
                 replacements.push({
                     index: matchIndex++,
                     original: match,
+                    syntax: marker.syntax,
                     keywords: keywords,
+                    query: query,
+                    category: category,
                     kaomoji: null,
                     offset: offset,
-                    matches: [],
+                    matches: matches,
                     selected: null,
+                    contextTerms: [],
+                    options: markerOptions,
+                    optionErrors: optionErrors,
                     notFound: true
                 });
 
                 if (markNotFound) {
-                    return `[?${keywordsStr}]`;
+                    emit(prefix + `[?${keywordsStr}]`, 'notFound');
+                } else {
+                    emit(prefix + (keepOriginalOnNotFound ? match : ''), 'notFound');
                 }
-
-                return keepOriginalOnNotFound ? match : '';
             }
         });
 
+        result += text.slice(lastIndex);
+
+        // 后续处理在替换后的文本上进行，已有映射片段视为跳过区域
+        const followUpOptions = {
+            strategy,
+            temperature,
+            random: searchOptions.random,
+            tieBreak,
+            categories,
+            excludeCategories,
+            history,
+            chatId
+        };
+        const mappedRegions = () => mapping.map(span => [span.start, span.end]);
+
+        // emoji 转换
+        let emojiConversions = [];
+        if (convertEmoji) {
+            const converted = this.convertEmoji(result, {
+                ...followUpOptions,
+                ...(convertEmoji === true ? {} : convertEmoji),
+                skipRegions: [...skipRegions, mappedRegions]
+            });
+
+            mergeMapping(mapping, converted.mapping, converted.conversions.map(c => ({ offset: c.offset, length: c.emoji.length })));
+            emojiConversions = converted.conversions;
+            result = converted.text;
+        }
+
+        // 自动插入：没有标记也没有转换 emoji 时才插入（onlyWithoutMarkers: false 时总是插入）
+        let insertions = [];
+        const { onlyWithoutMarkers = true, ...insertOptions } = autoInsert === true ? {} : (autoInsert || {});
+        if (autoInsert && (!onlyWithoutMarkers || (replacements.length === 0 && emojiConversions.length === 0))) {
+            const inserted = this.autoInsert(result, {
+                ...followUpOptions,
+                ...insertOptions,
+                skipRegions: [...skipRegions, mappedRegions]
+            });
+
+            mergeMapping(mapping, inserted.mapping, inserted.insertions.map(i => ({ offset: i.offset, length: 0 })));
+            insertions = inserted.insertions;
+            result = inserted.text;
+        }
+
         return {
             text: result,
             replacements: replacements,
+            skipped: skipped,
+            escaped: escaped,
+            emojiConversions: emojiConversions,
+            insertions: insertions,
+            mapping: mapping,
             originalText: text,
             hasReplacements: replacements.length > 0,
             successCount: replacements.filter(r => !r.notFound).length,
@@ -140,6 +704,471 @@ class KaomojiReplacer {
         };
     }
 
+    /**
+     * 根据调用选项创建搜索选项
+     * @private
+     * @param {Object} options - { seed, random, tieBreak, categories, excludeCategories }
+     * @returns {Object} SearchEngine.search 的选项（random 优先于 seed）
+     */
+    _createSearchOptions({ seed, random, tieBreak, categories, excludeCategories }) {
+        const searchOptions = { categories, excludeCategories };
+        if (random) {
+            searchOptions.random = random;
+        } else if (seed !== undefined && seed !== null) {
+            searchOptions.random = createSeededRandom(seed);
+        }
+        if (tieBreak) {
+            searchOptions.tieBreak = tieBreak;
+        }
+        return searchOptions;
+    }
+
+    /**
+     * 去掉所有标记的文本及其句子（每次 replaceText 只计算一次，供 _contextWindow 使用）
+     * @private
+     * @param {string} text - 输入文本
+     * @param {Array} markers - 文本中的所有标记（按位置排序）
+     * @returns {Object} { plain, sentences: [{ start, end }] }，plain 中的标记替换为等长空格，保证位置不变
+     */
+    _contextText(text, markers) {
+        let plain = '';
+        let lastIndex = 0;
+        markers.forEach(({ match, offset }) => {
+            plain += text.slice(lastIndex, offset) + ' '.repeat(match.length);
+            lastIndex = offset + match.length;
+        });
+        plain += text.slice(lastIndex);
+
+        // 句子区间不裁掉首尾空白（单独成句的标记在 plain 中只剩空白，也要能找到所在的句子）
+        const sentences = [];
+        const regex = new RegExp(SENTENCE_PATTERN.source, 'g');
+        let match;
+        while ((match = regex.exec(plain)) !== null) {
+            sentences.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        return { plain, sentences };
+    }
+
+    /**
+     * 取标记周围的上下文文本（窗口内的其他标记不计入）
+     * @private
+     * @param {Object} contextText - _contextText 的结果
+     * @param {Object} marker - 标记
+     * @param {string|number} window - 'sentence' 或前后字符数
+     * @returns {string} 上下文文本（其他标记位置以空格代替）
+     */
+    _contextWindow(contextText, marker, window) {
+        const { plain, sentences } = contextText;
+        const start = marker.offset;
+        const end = marker.offset + marker.match.length;
+
+        if (window !== 'sentence') {
+            return plain.slice(Math.max(0, start - window), start) + ' ' + plain.slice(end, end + window);
+        }
+
+        // 标记所在的句子（去掉标记本身）
+        const index = sentences.findIndex(s => s.start <= start && s.end > start);
+        if (index === -1) return '';
+
+        const current = sentences[index];
+        const sentence = (plain.slice(current.start, Math.max(current.start, start)) +
+            plain.slice(Math.min(current.end, end), current.end)).trim();
+        if (sentence.replace(/[。！？!?…~～.」』”’"')）\s]/g, '').length > 0) {
+            return sentence;
+        }
+
+        // 标记单独成句（如写在句末标点之后）时取前面最近的非空句子
+        for (let i = index - 1; i >= 0; i--) {
+            const previous = plain.slice(sentences[i].start, sentences[i].end).trim();
+            if (previous) return previous;
+        }
+        return sentence;
+    }
+
+    /**
+     * 统计 end 之前紧挨着的转义字符个数（不早于 start）
+     * @private
+     * @param {string} text - 文本
+     * @param {number} start - 最早位置
+     * @param {number} end - 标记位置
+     * @returns {number} 转义字符个数
+     */
+    _countEscapes(text, start, end) {
+        const escapeChar = this.config.escapeChar;
+        if (!escapeChar) return 0;
+
+        let count = 0;
+        let pos = end;
+        while (pos - escapeChar.length >= start && text.startsWith(escapeChar, pos - escapeChar.length)) {
+            count++;
+            pos -= escapeChar.length;
+        }
+        return count;
+    }
+
+    /**
+     * 查找与标记重叠的跳过区域
+     * @private
+     * @param {Array} regions - findSkipRegions 的结果
+     * @param {number} offset - 标记位置
+     * @param {number} length - 标记长度
+     * @returns {Object|null} 区域 { start, end, region }
+     */
+    _findRegion(regions, offset, length) {
+        return regions.find(r => r.start < offset + length && r.end > offset) || null;
+    }
+
+    /**
+     * 调用策略并把返回值统一为 { replacement, selected }
+     * @private
+     * @param {string} name - 已注册的策略名称
+     * @param {Object} marker - 标记信息
+     * @param {Array} keywords - 关键词
+     * @param {Array} matches - 匹配结果
+     * @param {Object} context - 策略上下文
+     * @returns {Object|null} { replacement, selected }，策略放弃时返回 null
+     */
+    _applyStrategy(name, marker, keywords, matches, context) {
+        const result = strategies.get(name)(marker, keywords, matches, context);
+
+        if (typeof result === 'string') {
+            if (result.length === 0) return null;
+            return {
+                replacement: result,
+                selected: matches.find(m => m.kaomoji === result) || null
+            };
+        }
+
+        if (Array.isArray(result)) {
+            if (result.length === 0) return null;
+            return {
+                replacement: result.map(m => m.kaomoji).join(' '),
+                selected: result
+            };
+        }
+
+        if (result && typeof result.kaomoji === 'string') {
+            return { replacement: result.kaomoji, selected: result };
+        }
+
+        return null;
+    }
+
+    /**
+     * 把文本中的 emoji 转换为 kaomoji
+     * 通过 emoji → 关键词映射表得到关键词，再用 SearchEngine.search 查找 kaomoji；
+     * 支持 ZWJ 组合序列与肤色修饰符，映射表中没有或找不到 kaomoji 的 emoji 保持原样
+     * @param {string} text - 输入文本
+     * @param {Object} options - 选项
+     * @param {Object} options.emojiMap - 自定义映射 { emoji: 关键词数组或逗号分隔的字符串 }，覆盖内置映射表中的同名条目
+     * @param {string} options.strategy - 替换策略（默认 config.replaceStrategy）
+     * @param {number} options.threshold - 最低分数阈值（默认 0）
+     * @param {number} options.topK - 候选数量（默认 5）
+     * @param {number} options.temperature - weighted 策略的温度（默认 1）
+     * @param {number|string} options.seed - 随机种子
+     * @param {Function} options.random - 随机数来源（优先于 seed）
+     * @param {string} options.tieBreak - 同分排序方式
+     * @param {string|Array} options.categories - 只在这些分类中挑选
+     * @param {string|Array} options.excludeCategories - 排除这些分类
+     * @param {RepetitionHistory|null} options.history - 重复抑制历史（默认使用 setHistory 设置的实例）
+     * @param {string} options.chatId - 聊天 ID
+     * @param {Array} options.skipRegions - 跳过区域，默认使用 config.skipRegions
+     * @returns {Object} { text, conversions: [{ emoji, keywords, kaomoji, offset, matches, selected }],
+     *   unmapped: [{ emoji, keywords, offset }], mapping, originalText }，mapping 中转换片段的 kind 为 'emoji'
+     */
+    convertEmoji(text, options = {}) {
+        const {
+            emojiMap,
+            strategy = this.config.replaceStrategy,
+            threshold = 0,
+            topK = 5,
+            temperature = 1,
+            seed,
+            random: randomSource,
+            tieBreak,
+            categories,
+            excludeCategories,
+            history = this.history,
+            chatId,
+            skipRegions = this.config.skipRegions
+        } = options;
+
+        const table = emojiMap ? { ...EMOJI_KEYWORDS, ...emojiMap } : EMOJI_KEYWORDS;
+        const searchOptions = this._createSearchOptions({ seed, random: randomSource, tieBreak, categories, excludeCategories });
+        const random = searchOptions.random || this.searchEngine.random;
+        const historySession = history ? history.session(chatId) : null;
+        const regions = findSkipRegions(text, skipRegions);
+
+        const conversions = [];
+        const unmapped = [];
+        const mapping = [];
+        const regex = new RegExp(EMOJI_PATTERN.source, EMOJI_PATTERN.flags);
+        let result = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            const emoji = match[0];
+            const offset = match.index;
+            if (this._findRegion(regions, offset, emoji.length)) continue;
+
+            const keywords = lookupEmoji(emoji, table);
+            let matches = [];
+            if (keywords.length > 0) {
+                const query = keywords.join(' ');
+                if (historySession) {
+                    const recent = historySession.recent();
+                    matches = history
+                        .apply(this.searchEngine.search(query, topK + recent.length, threshold, searchOptions), recent)
+                        .slice(0, topK);
+                } else {
+                    matches = this.searchEngine.search(query, topK, threshold, searchOptions);
+                }
+            }
+
+            const selection = matches.length > 0
+                ? this._applyStrategy(
+                    strategies.has(strategy) ? strategy : 'best',
+                    { match: emoji, keywordsStr: keywords.join(this.config.keywordSeparator), category: null, offset, syntax: 'emoji', options: {} },
+                    keywords,
+                    matches,
+                    { replacer: this, strategy, options, temperature, random, chatId, index: conversions.length }
+                )
+                : null;
+
+            if (!selection) {
+                unmapped.push({ emoji, keywords, offset });
+                continue;
+            }
+
+            const { replacement, selected } = selection;
+            if (historySession) {
+                (Array.isArray(selected) ? selected : [selected || { kaomoji: replacement }])
+                    .forEach(m => historySession.record(m.kaomoji));
+            }
+
+            result += text.slice(lastIndex, offset);
+            mapping.push({ start: result.length, end: result.length + replacement.length, output: replacement, original: emoji, kind: 'emoji' });
+            result += replacement;
+            lastIndex = offset + emoji.length;
+
+            conversions.push({ emoji, keywords, kaomoji: replacement, offset, matches, selected });
+        }
+
+        result += text.slice(lastIndex);
+
+        return { text: result, conversions, unmapped, mapping, originalText: text };
+    }
+
+    /**
+     * 自动插入：不需要标记，按句子在词表中查找情绪关键词，在得分足够的句子末尾插入 kaomoji
+     * 位于跳过区域中的句子不参与插入
+     * @param {string} text - 输入文本
+     * @param {Object} options - 选项
+     * @param {string} options.mode - 'exact'（句子包含完整关键词，默认）| 'search'（BM25 搜索）
+     * @param {number} options.minScore - 最低分数（默认 1，exact 模式下只由长度足够的触发词计分）
+     * @param {number} options.maxPerMessage - 每段文本最多插入几个（默认 3）
+     * @param {number} options.minGap - 相邻两次插入之间至少间隔的字符数（默认 20）
+     * @param {number} options.minKeywordLength - 触发词最小长度（默认 2，避免单字误触发）
+     * @param {string} options.position - 'after'（句末标点之后，默认）| 'before'（句末标点之前）
+     * @param {string} options.separator - 插入在 kaomoji 前的文本（默认为空）
+     * @param {number|string} options.seed - 随机种子
+     * @param {Function} options.random - 随机数来源（优先于 seed）
+     * @param {string} options.tieBreak - 同分排序方式
+     * @param {string|Array} options.categories - 只在这些分类中挑选
+     * @param {string|Array} options.excludeCategories - 排除这些分类
+     * @param {RepetitionHistory|null} options.history - 重复抑制历史（默认使用 setHistory 设置的实例）
+     * @param {string} options.chatId - 聊天 ID
+     * @param {Array} options.skipRegions - 跳过区域，默认使用 config.skipRegions
+     * @returns {Object} { text, insertions: [{ kaomoji, offset, sentence, triggers, score, category }], mapping, originalText }，
+     *   offset 为插入位置在输入文本中的下标（经 replaceText 插入时输入文本是标记替换、emoji 转换后的文本），
+     *   triggers 为去重后的触发词，mapping 中插入片段的 kind 为 'inserted'
+     */
+    autoInsert(text, options = {}) {
+        const {
+            mode = 'exact',
+            minScore = 1,
+            maxPerMessage = 3,
+            minGap = 20,
+            minKeywordLength = 2,
+            position = 'after',
+            separator = '',
+            seed,
+            random: randomSource,
+            tieBreak,
+            categories,
+            excludeCategories,
+            history = this.history,
+            chatId,
+            skipRegions = this.config.skipRegions
+        } = options;
+
+        if (mode !== 'exact' && mode !== 'search') {
+            throw new Error(`Unknown auto insert mode: ${mode}`);
+        }
+
+        const searchOptions = this._createSearchOptions({ seed, random: randomSource, tieBreak, categories, excludeCategories });
+        const historySession = history ? history.session(chatId) : null;
+        const regions = findSkipRegions(text, skipRegions);
+
+        const insertions = [];
+        const mapping = [];
+        let result = '';
+        let lastIndex = 0;
+        let lastInsert = -Infinity;
+
+        for (const sentence of splitSentences(text)) {
+            if (insertions.length >= maxPerMessage) break;
+
+            const offset = position === 'before' ? sentence.contentEnd : sentence.end;
+            if (offset - lastInsert < minGap) continue;
+            if (this._findRegion(regions, sentence.start, sentence.end - sentence.start)) continue;
+
+            // 只保留由足够长的触发词命中的结果；exact 模式的分数也只由这些触发词计算
+            const found = mode === 'exact'
+                ? this.searchEngine.exactMatch(sentence.text, { ...searchOptions, minLength: minKeywordLength })
+                : this.searchEngine.search(sentence.text, 5, 0, searchOptions);
+            let matches = found
+                .map(m => ({ ...m, matchedKeywords: m.matchedKeywords.filter(k => k.length >= minKeywordLength) }))
+                .filter(m => m.matchedKeywords.length > 0 && m.score >= minScore);
+
+            if (historySession) {
+                matches = history.apply(matches, historySession.recent());
+            }
+            if (matches.length === 0) continue;
+
+            const selected = matches[0];
+            const output = separator + selected.kaomoji;
+            if (historySession) {
+                historySession.record(selected.kaomoji);
+            }
+
+            result += text.slice(lastIndex, offset);
+            mapping.push({ start: result.length, end: result.length + output.length, output, original: '', kind: 'inserted' });
+            result += output;
+            lastIndex = offset;
+            lastInsert = offset;
+
+            insertions.push({
+                kaomoji: selected.kaomoji,
+                offset: offset,
+                sentence: sentence.text,
+                triggers: [...new Set(selected.matchedKeywords)],
+                score: selected.score,
+                category: selected.category
+            });
+        }
+
+        result += text.slice(lastIndex);
+
+        return { text: result, insertions, mapping, originalText: text };
+    }
+
+    /**
+     * 反向操作：把文本中的 kaomoji 还原为标记
+     * 提供 mapping（replaceText 结果中的 mapping）时按映射精确还原原文，映射片段与文本不符时跳过该片段；
+     * 否则在文本中查找已加载数据中的 kaomoji（从左到右、最长优先，重叠时保留先出现的），
+     * 改写为使用其主要关键词的标记
+     * @param {string} text - 输入文本
+     * @param {Object} options - 选项
+     * @param {Array} options.mapping - replaceText 结果中的 mapping
+     * @param {number} options.keywordCount - 标记中使用的关键词数量（默认 2，取数据中靠前的关键词）
+     * @param {boolean} options.includeCategory - 是否写入分类 [kaomoji@分类:...]（默认 false）
+     * @param {number} options.minLength - 参与识别的 kaomoji 最小长度（默认 2，避免单字符误判）
+     * @param {Function} options.format - 自定义标记格式 (keywords, doc) => string
+     * @returns {Object} { text, replacements: [{ kaomoji, marker, offset, kind? }], originalText }
+     */
+    unreplace(text, options = {}) {
+        const { mapping } = options;
+
+        if (mapping) {
+            return this._unreplaceWithMapping(text, mapping);
+        }
+
+        const {
+            keywordCount = 2,
+            includeCategory = false,
+            minLength = 2,
+            format = (keywords, doc) => {
+                const scope = includeCategory && doc.category ? `@${doc.category}` : '';
+                return `[kaomoji${scope}:${keywords.join(this.config.keywordSeparator)}]`;
+            }
+        } = options;
+
+        // 首字符 → 以该字符开头的 kaomoji（按长度从长到短）
+        const byFirstChar = new Map();
+        const seen = new Set();
+        this.searchEngine.documents.forEach(doc => {
+            const kaomoji = doc.kaomoji;
+            if (kaomoji.length < minLength || seen.has(kaomoji)) return;
+            seen.add(kaomoji);
+
+            const list = byFirstChar.get(kaomoji[0]) || [];
+            list.push(doc);
+            byFirstChar.set(kaomoji[0], list);
+        });
+        byFirstChar.forEach(list => list.sort((a, b) => b.kaomoji.length - a.kaomoji.length));
+
+        const replacements = [];
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const doc = (byFirstChar.get(text[i]) || []).find(d => text.startsWith(d.kaomoji, i));
+
+            if (!doc) {
+                result += text[i];
+                i++;
+                continue;
+            }
+
+            const marker = format(doc.keywords.slice(0, keywordCount), doc);
+            replacements.push({ kaomoji: doc.kaomoji, marker, offset: i });
+            result += marker;
+            i += doc.kaomoji.length;
+        }
+
+        return { text: result, replacements, originalText: text };
+    }
+
+    /**
+     * 按 replaceText 的映射还原原文
+     * @private
+     * @param {string} text - replaceText 输出的文本
+     * @param {Array} mapping - 映射片段
+     * @returns {Object} { text, replacements, originalText }
+     */
+    _unreplaceWithMapping(text, mapping) {
+        const spans = [...mapping].sort((a, b) => a.start - b.start);
+        const replacements = [];
+        let result = '';
+        let lastIndex = 0;
+
+        spans.forEach(span => {
+            // 与文本不符（文本已被修改）或与上一片段重叠时跳过
+            if (span.start < lastIndex || text.slice(span.start, span.end) !== span.output) return;
+
+            result += text.slice(lastIndex, span.start) + span.original;
+            replacements.push({ kaomoji: span.output, marker: span.original, offset: span.start, kind: span.kind });
+            lastIndex = span.end;
+        });
+
+        result += text.slice(lastIndex);
+        return { text: result, replacements, originalText: text };
+    }
+
+    /**
+     * 创建流式替换器，用于逐块到达的文本（如 LLM 的流式输出）
+     * 普通文本立即输出，只缓冲可能属于标记的部分，标记闭合后立即输出替换结果
+     * @param {Object} options - replaceText 的选项，另支持 open / close / maxMarkerLength
+     *   （open / close 省略时使用各标记语法的定界符）；不支持 convertEmoji / autoInsert
+     * @returns {KaomojiStream} 流式替换器
+     */
+    createStream(options = {}) {
+        return new KaomojiStream(this, options);
+    }
+
     /**
      * 批量替换多个文本
      * @param {Array} texts - 文本数组
@@ -153,38 +1182,49 @@ class KaomojiReplacer {
     /**
      * 预览替换结果（不实际替换，只返回会被替换的内容）
      * @param {string} text - 输入文本
-     * @returns {Array} 预览结果数组
+     * @param {Object} options - 预览选项
+     * @param {Array} options.skipRegions - 跳过区域，默认使用 config.skipRegions
+     * @returns {Array} 预览结果数组（不含跳过区域中的标记和被转义的标记）
      */
-    preview(text) {
-        const markers = [];
-        let match;
+    preview(text, options = {}) {
+        const { skipRegions = this.config.skipRegions } = options;
+        const regions = findSkipRegions(text, skipRegions);
 
-        const regex = new RegExp(this.config.markerPattern);
-        while ((match = regex.exec(text)) !== null) {
-            const keywordsStr = match[1];
-            const keywords = keywordsStr
-                .split(this.config.keywordSeparator)
-                .map(k => k.trim())
-                .filter(k => k.length > 0);
+        let lastIndex = 0;
+        const markers = this._findMarkers(text).filter(({ match, offset }) => {
+            const start = lastIndex;
+            lastIndex = offset + match.length;
+            return !this._findRegion(regions, offset, match.length) && this._countEscapes(text, start, offset) % 2 === 0;
+        });
 
-            const searchText = keywords.join(' ');
-            const matches = this.searchEngine.search(searchText, 5, 0);
+        return markers.map(marker => {
+            const { match, category, offset } = marker;
+            const { keywordsStr, options, optionErrors } = this._parseMarkerOptions(marker);
+            const { keywords, query } = this._parseKeywords(keywordsStr, marker.definition.keywordSeparator);
+            const matches = this.searchEngine.search(
+                query,
+                options.topK || 5,
+                options.threshold !== undefined ? options.threshold : 0,
+                category ? { categories: [category] } : {}
+            );
 
-            markers.push({
-                marker: match[0],
+            return {
+                marker: match,
+                syntax: marker.syntax,
                 keywords: keywords,
-                offset: match.index,
+                category: category,
+                options: options,
+                optionErrors: optionErrors,
+                offset: offset,
                 matches: matches,
                 bestMatch: matches.length > 0 ? matches[0] : null
-            });
-        }
-
-        return markers;
+            };
+        });
     }
 
     /**
      * 查询关键词对应的 kaomoji（不需要标记格式）
-     * @param {string} keywords - 关键词字符串
+     * @param {string|Object} keywords - 关键词字符串或结构化查询 { must, should, mustNot }
      * @param {number} topK - 返回前 K 个结果
      * @returns {Array} 匹配结果
      */
@@ -214,5 +1254,21 @@ class KaomojiReplacer {
     }
 }
 
+// ========== 内置策略 ==========
+
+// 第一个匹配结果
+KaomojiReplacer.registerStrategy('first', (marker, keywords, matches) => matches[0]);
+
+// 分数最高的匹配结果（matches 已按分数排序）
+KaomojiReplacer.registerStrategy('best', (marker, keywords, matches) => matches[0]);
+
+// 所有匹配结果
+KaomojiReplacer.registerStrategy('all', (marker, keywords, matches) => matches);
+
+// 按分数加权随机选择
+KaomojiReplacer.registerStrategy('weighted', (marker, keywords, matches, context) =>
+    sampleWeighted(matches, context.temperature, context.random)
+);
+
 // ES Modules 导出
 export default KaomojiReplacer;
@@ -0,0 +1,440 @@
+/**
+ * KaomojiStream.js
+ * 流式替换器 - 处理逐块到达的文本（如 LLM 的 token 流）
+ *
+ * 标记可能被拆在多个块中（"[kao" … "moji:开" … "心]"）。
+ * 流式替换器只缓冲可能属于标记的部分，其余文本立即输出；
+ * 标记闭合后交给 KaomojiReplacer.replaceText 处理并立即输出结果。
+ *
+ * 跳过区域在已收到的全部文本上判断；行内代码的结束反引号可能还没到达，
+ * 此时标记会留在缓冲区中，直到反引号闭合、段落结束或流结束。
+ */
+
+import { createSeededRandom } from './SeededRandom.js';
+import RepetitionHistory from './RepetitionHistory.js';
+import { SKIP_REGIONS, findSkipRegions } from './SkipRegions.js';
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} str - 字符串
+ * @returns {string} 转义后的字符串
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class KaomojiStream {
+    /**
+     * @param {KaomojiReplacer} replacer - 替换器
+     * @param {Object} options - replaceText 的选项，另支持：
+     * @param {string} options.open - 标记开始定界符（默认使用各标记语法的 open，如 '[kaomoji'）
+     * @param {string} options.close - 标记结束定界符（默认使用各标记语法的 close，如 ']'）
+     * @param {number} options.maxMarkerLength - 标记最大长度，超过后不再等待闭合（默认 200）
+     * @param {Array} options.skipRegions - 跳过区域，默认使用 config.skipRegions；在已收到的全部文本上判断
+     * 不支持 convertEmoji / autoInsert，传入时抛出错误
+     */
+    constructor(replacer, options = {}) {
+        const {
+            open,
+            close,
+            maxMarkerLength = 200,
+            skipRegions = replacer.config.skipRegions,
+            convertEmoji,
+            autoInsert,
+            ...replaceOptions
+        } = options;
+
+        // 流中只有标记片段交给 replaceText，emoji 转换与自动插入需要看到普通文本
+        if (convertEmoji || autoInsert) {
+            throw new Error('Stream does not support convertEmoji or autoInsert');
+        }
+
+        // 定界符：显式指定时只使用这一对，否则取所有带 open / close 的标记语法
+        this.delimiters = open !== undefined || close !== undefined
+            ? [{ open, close }]
+            : replacer._getSyntaxes()
+                .filter(syntax => syntax.open && syntax.close)
+                .map(({ open, close }) => ({ open, close }));
+
+        if (this.delimiters.length === 0 || this.delimiters.some(d => !d.open || !d.close)) {
+            throw new Error('Stream delimiters must be non-empty strings');
+        }
+
+        this.replacer = replacer;
+        this.maxMarkerLength = maxMarkerLength;
+        this.skipRegions = skipRegions;
+        findSkipRegions('', skipRegions);  // 尽早校验区域规格
+        this.caseInsensitive = replacer.config.markerPattern.flags.includes('i');
+
+        // 整个流共享同一个随机序列；message 作用范围的历史在整个流内有效
+        this.options = { ...replaceOptions };
+        if (!this.options.random && this.options.seed !== undefined && this.options.seed !== null) {
+            this.options.random = createSeededRandom(this.options.seed);
+        }
+        const history = this.options.history !== undefined ? this.options.history : replacer.history;
+        if (history && history.scope === 'message') {
+            this.options.history = new RepetitionHistory({
+                window: history.window,
+                mode: history.mode,
+                penalty: history.penalty,
+                scope: 'global'
+            });
+        }
+
+        this.buffer = '';          // 尚未输出的文本
+        this.consumed = 0;         // buffer 之前已处理的原文长度
+        this.processed = '';       // buffer 之前已处理的原文（仅在有跳过区域时保留）
+        this.replacements = [];
+        this.skipped = [];
+        this.ended = false;
+    }
+
+    /**
+     * 写入一块文本
+     * @param {string} chunk - 文本块
+     * @returns {string} 可以立即输出的文本
+     */
+    write(chunk) {
+        if (this.ended) {
+            throw new Error('Cannot write after end');
+        }
+
+        this.buffer += chunk;
+        return this._drain(false);
+    }
+
+    /**
+     * 结束流，输出剩余文本
+     * 未闭合的标记按 keepOriginalOnNotFound 保留或丢弃，并作为未找到记录
+     * @param {string} chunk - 最后一块文本（可选）
+     * @returns {string} 剩余输出
+     */
+    end(chunk = '') {
+        const output = this.write(chunk) + this._drain(true);
+        this.ended = true;
+        return output;
+    }
+
+    /**
+     * 成功替换的数量
+     * @returns {number}
+     */
+    get successCount() {
+        return this.replacements.filter(r => !r.notFound).length;
+    }
+
+    /**
+     * 替换失败的数量
+     * @returns {number}
+     */
+    get failureCount() {
+        return this.replacements.filter(r => r.notFound).length;
+    }
+
+    /**
+     * 处理缓冲区，返回可以输出的文本
+     * @private
+     * @param {boolean} flush - 是否为流结束（不再等待后续文本）
+     * @returns {string} 输出文本
+     */
+    _drain(flush) {
+        let output = '';
+
+        while (this.buffer.length > 0) {
+            const { start, delimiter } = this._indexOfOpen(this.buffer);
+
+            if (start === -1) {
+                // 没有完整的开始定界符：保留可能是定界符开头的结尾部分及其前面的转义字符
+                let keep = 0;
+                if (!flush) {
+                    keep = this._partialOpenLength(this.buffer);
+                    keep += this._escapeLength(this.buffer, this.buffer.length - keep);
+                }
+                output += this._emit(this.buffer.length - keep);
+                break;
+            }
+
+            // 标记前的转义字符与标记一起交给 replaceText 处理
+            const escapeLength = this._escapeLength(this.buffer, start);
+            output += this._emit(start - escapeLength);
+
+            const end = this.buffer.indexOf(delimiter.close, escapeLength + delimiter.open.length);
+            if (end === -1) {
+                if (flush) {
+                    output += this._unterminated();
+                    break;
+                }
+                if (this.buffer.length - escapeLength > this.maxMarkerLength) {
+                    // 太长，不可能是标记：输出开始字符后继续查找
+                    output += this._emit(escapeLength + 1);
+                    continue;
+                }
+                break;
+            }
+
+            const length = end + delimiter.close.length;
+            if (length - escapeLength > this.maxMarkerLength) {
+                output += this._emit(escapeLength + 1);
+                continue;
+            }
+
+            const { region, pending } = this._checkSkipRegion(escapeLength, length, flush);
+            if (pending) break;
+
+            output += this._replace(this.buffer.slice(0, length), region);
+            this._advance(length);
+        }
+
+        return output;
+    }
+
+    /**
+     * 替换一段完整的候选标记文本
+     * @private
+     * @param {string} segment - 以开始定界符开头、结束定界符结尾的文本
+     * @param {Object|null} region - 标记所在的跳过区域
+     * @returns {string} 替换后的文本
+     */
+    _replace(segment, region) {
+        // 跳过区域已在全部文本上确定，片段本身只需整体跳过或不跳过
+        const result = this.replacer.replaceText(segment, {
+            ...this.options,
+            skipRegions: region ? [() => [[0, segment.length]]] : []
+        });
+
+        result.skipped.forEach(s => {
+            this.skipped.push({ ...s, offset: this.consumed + s.offset, region: region.region });
+        });
+
+        result.replacements.forEach(r => {
+            this.replacements.push({
+                ...r,
+                index: this.replacements.length,
+                offset: this.consumed + r.offset
+            });
+        });
+
+        return result.text;
+    }
+
+    /**
+     * 判断缓冲区中 [start, end) 处的标记是否位于跳过区域
+     * 标记前有尚未闭合的行内代码反引号时，需要等待后续文本才能确定
+     * @private
+     * @param {number} start - 标记在缓冲区中的起点
+     * @param {number} end - 标记在缓冲区中的终点
+     * @param {boolean} flush - 是否为流结束
+     * @returns {Object} { region, pending }
+     */
+    _checkSkipRegion(start, end, flush) {
+        if (this.skipRegions.length === 0) {
+            return { region: null, pending: false };
+        }
+
+        const text = this.processed + this.buffer;
+        const offset = this.consumed + start;
+        const regions = findSkipRegions(text, this.skipRegions);
+        const region = this.replacer._findRegion(regions, offset, end - start);
+
+        if (region || flush || !this.skipRegions.includes(SKIP_REGIONS.MARKDOWN_CODE)) {
+            return { region, pending: false };
+        }
+
+        // 标记之后已出现空行：段落结束，之前未闭合的反引号不会再闭合
+        if (/\n[ \t]*\n/.test(text.slice(offset))) {
+            return { region: null, pending: false };
+        }
+
+        // 本段落中标记之前是否有不属于任何代码区域的反引号
+        const before = text.slice(0, offset);
+        let paragraphStart = 0;
+        for (const match of before.matchAll(/\n[ \t]*\n/g)) {
+            paragraphStart = match.index + match[0].length;
+        }
+        const codeRegions = regions.filter(r => r.region === SKIP_REGIONS.MARKDOWN_CODE);
+        const pending = [...before.slice(paragraphStart).matchAll(/`+/g)].some(match => {
+            const index = paragraphStart + match.index;
+            return !codeRegions.some(r => r.start <= index && r.end > index);
+        });
+
+        return { region: null, pending };
+    }
+
+    /**
+     * 处理流结束时仍未闭合的标记
+     * @private
+     * @returns {string} 输出文本
+     */
+    _unterminated() {
+        const { keepOriginalOnNotFound = true } = this.options;
+        const original = this.buffer;
+
+        this.replacements.push({
+            index: this.replacements.length,
+            original,
+            keywords: [],
+            query: '',
+            category: null,
+            kaomoji: null,
+            offset: this.consumed,
+            matches: [],
+            selected: null,
+            options: {},
+            optionErrors: [],
+            notFound: true,
+            unterminated: true
+        });
+
+        this._advance(original.length);
+        return keepOriginalOnNotFound ? original : '';
+    }
+
+    /**
+     * 从缓冲区取出前 length 个字符作为输出
+     * @private
+     * @param {number} length - 长度
+     * @returns {string} 输出文本
+     */
+    _emit(length) {
+        const text = this.buffer.slice(0, length);
+        this._advance(length);
+        return text;
+    }
+
+    /**
+     * 丢弃缓冲区前 length 个字符
+     * @private
+     * @param {number} length - 长度
+     */
+    _advance(length) {
+        if (this.skipRegions.length > 0) {
+            this.processed += this.buffer.slice(0, length);
+        }
+        this.buffer = this.buffer.slice(length);
+        this.consumed += length;
+    }
+
+    /**
+     * end 之前紧挨着的转义字符总长度
+     * @private
+     * @param {string} text - 文本
+     * @param {number} end - 位置
+     * @returns {number} 长度
+     */
+    _escapeLength(text, end) {
+        const escapeChar = this.replacer.config.escapeChar;
+        return escapeChar ? this.replacer._countEscapes(text, 0, end) * escapeChar.length : 0;
+    }
+
+    /**
+     * 查找最早出现的开始定界符（位置相同时取较长的定界符）
+     * @private
+     * @param {string} text - 文本
+     * @returns {Object} { start, delimiter }，未找到时 start 为 -1
+     */
+    _indexOfOpen(text) {
+        let start = -1;
+        let delimiter = null;
+
+        this.delimiters.forEach(d => {
+            const index = this.caseInsensitive
+                ? text.search(new RegExp(escapeRegExp(d.open), 'i'))
+                : text.indexOf(d.open);
+
+            if (index === -1) return;
+            if (start === -1 || index < start || (index === start && d.open.length > delimiter.open.length)) {
+                start = index;
+                delimiter = d;
+            }
+        });
+
+        return { start, delimiter };
+    }
+
+    /**
+     * 文本结尾与任一开始定界符开头重合的最大长度（如 "...[kao" 对应 4）
+     * @private
+     * @param {string} text - 文本
+     * @returns {number} 长度
+     */
+    _partialOpenLength(text) {
+        const normalize = str => this.caseInsensitive ? str.toLowerCase() : str;
+        let longest = 0;
+
+        this.delimiters.forEach(({ open }) => {
+            for (let length = Math.min(open.length - 1, text.length); length > longest; length--) {
+                if (normalize(text.slice(-length)) === normalize(open.slice(0, length))) {
+                    longest = length;
+                    break;
+                }
+            }
+        });
+
+        return longest;
+    }
+
+    /**
+     * 包装为 WHATWG TransformStream（浏览器、Deno、Node.js 18+）
+     * @returns {TransformStream} 输入输出均为字符串的转换流
+     */
+    toTransformStream() {
+        if (typeof TransformStream === 'undefined') {
+            throw new Error('TransformStream is not available in this environment');
+        }
+
+        return new TransformStream({
+            transform: (chunk, controller) => {
+                const output = this.write(chunk);
+                if (output) controller.enqueue(output);
+            },
+            flush: controller => {
+                const output = this.end();
+                if (output) controller.enqueue(output);
+            }
+        });
+    }
+
+    /**
+     * 包装为 Node.js Transform 流（仅 Node.js 环境）
+     * 输入可以是字符串或 Buffer（按 UTF-8 解码，正确处理被拆开的多字节字符），输出为字符串
+     * 异步方法：按需动态加载 stream 模块，以免浏览器打包时引入 Node.js 内置模块
+     * @returns {Promise<Transform>} Node.js Transform 流
+     */
+    async toNodeTransform() {
+        if (typeof process === 'undefined') {
+            throw new Error('toNodeTransform is only available in Node.js environment');
+        }
+
+        const { Transform } = await import('stream');
+        const { StringDecoder } = await import('string_decoder');
+        const decoder = new StringDecoder('utf8');
+        const stream = this;
+
+        return new Transform({
+            decodeStrings: false,
+            encoding: 'utf8',
+            transform(chunk, encoding, callback) {
+                try {
+                    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+                    const output = stream.write(text);
+                    if (output) this.push(output);
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
+                    const output = stream.end(decoder.end());
+                    if (output) this.push(output);
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+}
+
+// ES Modules 导出
+export default KaomojiStream;
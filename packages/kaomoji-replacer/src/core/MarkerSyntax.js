@@ -0,0 +1,104 @@
+/**
+ * MarkerSyntax.js
+ * 标记语法 - KaomojiReplacer 可同时识别的多种标记格式
+ *
+ * 标记语法对象字段：
+ * - name:             名称，记录在替换结果的 syntax 中
+ * - pattern:          正则表达式，使用命名捕获组 keywords / category / options
+ *                     （没有命名组时取第一个捕获组作为关键词）
+ * - keywordSeparator: 关键词分隔符（省略时使用 config.keywordSeparator）
+ * - optionStyle:      选项语法，'inline'（关键词后的 |键=值）或 'attributes'（options 组中的 键="值"）
+ * - optionSeparator:  inline 选项分隔符（省略时使用 config.optionSeparator）
+ * - open / close:     标记的开始 / 结束定界符，供流式替换缓冲使用（可选）
+ */
+
+// 内置标记语法名称
+const MARKER_SYNTAXES = {
+    BRACKET: 'bracket',      // [kaomoji:开心]（使用 config.markerPattern）
+    MUSTACHE: 'mustache',    // {{kaomoji:开心}}
+    COLON: 'colon',          // :kao-开心:
+    XML: 'xml'               // <kaomoji>开心</kaomoji>
+};
+
+// 内置标记语法定义（bracket 的 pattern 为 null，表示使用 config.markerPattern）
+const BUILTIN_SYNTAXES = {
+    [MARKER_SYNTAXES.BRACKET]: {
+        pattern: null,
+        optionStyle: 'inline',
+        open: '[kaomoji',
+        close: ']'
+    },
+    [MARKER_SYNTAXES.MUSTACHE]: {
+        pattern: /\{\{kaomoji(?:@(?<category>[^:}]+))?:(?<keywords>[^}]+)\}\}/gi,
+        optionStyle: 'inline',
+        open: '{{kaomoji',
+        close: '}}'
+    },
+    [MARKER_SYNTAXES.COLON]: {
+        pattern: /:kao(?:@(?<category>[^:\s-]+))?-(?<keywords>[^:\s]+):/gi,
+        optionStyle: 'inline',
+        open: ':kao',
+        close: ':'
+    },
+    [MARKER_SYNTAXES.XML]: {
+        // <kaomoji category="动物" n="2">开心,猫</kaomoji>
+        pattern: /<kaomoji(?<options>(?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*>(?<keywords>[^<]*)<\/kaomoji>/gi,
+        optionStyle: 'attributes',
+        open: '<kaomoji',
+        close: '</kaomoji>'
+    }
+};
+
+/**
+ * 解析 XML 风格的属性字符串
+ * @param {string} str - 属性字符串，如 ' n="2" strategy=\'all\''
+ * @returns {Array} [[key, value], ...]
+ */
+function parseAttributes(str) {
+    const attributes = [];
+    const regex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = regex.exec(str)) !== null) {
+        attributes.push([match[1], match[2] !== undefined ? match[2] : match[3]]);
+    }
+
+    return attributes;
+}
+
+/**
+ * 把标记语法规格解析为完整定义
+ * @param {string|Object} spec - 内置语法名称或语法对象
+ * @param {Object} config - KaomojiReplacer 配置（提供默认 pattern 与分隔符）
+ * @returns {Object} 标记语法定义
+ */
+function resolveSyntax(spec, config) {
+    let syntax;
+
+    if (typeof spec === 'string') {
+        if (!BUILTIN_SYNTAXES[spec]) {
+            throw new Error(`Unknown marker syntax: ${spec}`);
+        }
+        syntax = { name: spec, ...BUILTIN_SYNTAXES[spec] };
+    } else if (spec && typeof spec === 'object') {
+        if (!spec.name) {
+            throw new Error('Marker syntax must have a name');
+        }
+        if (!(spec.pattern instanceof RegExp)) {
+            throw new Error(`Marker syntax "${spec.name}" must have a RegExp pattern`);
+        }
+        syntax = { optionStyle: 'inline', ...spec };
+    } else {
+        throw new Error('Marker syntax must be a name or an object');
+    }
+
+    return {
+        ...syntax,
+        pattern: syntax.pattern || config.markerPattern,
+        keywordSeparator: syntax.keywordSeparator || config.keywordSeparator,
+        optionSeparator: syntax.optionSeparator !== undefined ? syntax.optionSeparator : config.optionSeparator
+    };
+}
+
+// ES Modules 导出
+export { MARKER_SYNTAXES, parseAttributes, resolveSyntax };
@@ -0,0 +1,101 @@
+/**
+ * Normalizer.js
+ * 文本归一化 - SearchEngine 在索引关键词和处理查询前统一文本写法
+ *
+ * 内置归一化包括：
+ * - traditional: 繁体转简体（单字对照表，见 src/data/traditionalTable.js）
+ * - width:       全角字母、数字、符号及全角空格转半角
+ * - case:        字母转小写
+ *
+ * 归一化函数是任何 text => string 的函数，可以替换为自定义实现。
+ */
+
+import { TRADITIONAL, SIMPLIFIED } from '../data/traditionalTable.js';
+
+// 繁体字 → 简体字（首次使用时由对照表生成）
+let traditionalMap = null;
+
+/**
+ * 获取繁体到简体的映射
+ * @returns {Map} 繁体字 → 简体字
+ */
+function getTraditionalMap() {
+    if (!traditionalMap) {
+        traditionalMap = new Map();
+        for (let i = 0; i < TRADITIONAL.length; i++) {
+            traditionalMap.set(TRADITIONAL[i], SIMPLIFIED[i]);
+        }
+    }
+    return traditionalMap;
+}
+
+/**
+ * 繁体转简体
+ * @param {string} text - 文本
+ * @returns {string} 转换后的文本
+ */
+function toSimplified(text) {
+    const map = getTraditionalMap();
+    return text.replace(/[\u3400-\u9fff]/g, char => map.get(char) || char);
+}
+
+/**
+ * 全角转半角（U+FF01–U+FF5E 与全角空格 U+3000）
+ * @param {string} text - 文本
+ * @returns {string} 转换后的文本
+ */
+function toHalfWidth(text) {
+    return text.replace(/[\uff01-\uff5e\u3000]/g, char =>
+        char === '\u3000' ? ' ' : String.fromCharCode(char.charCodeAt(0) - 0xfee0)
+    );
+}
+
+/**
+ * 按内置规则归一化文本
+ * @param {string} text - 文本
+ * @param {Object} options - 选项（均默认开启）
+ * @param {boolean} options.traditional - 繁体转简体
+ * @param {boolean} options.width - 全角转半角
+ * @param {boolean} options.case - 字母转小写
+ * @returns {string} 归一化后的文本
+ */
+function normalizeText(text, options = {}) {
+    const { traditional = true, width = true, case: lowerCase = true } = options;
+    let result = String(text);
+
+    if (width) result = toHalfWidth(result);
+    if (traditional) result = toSimplified(result);
+    if (lowerCase) result = result.toLowerCase();
+
+    return result;
+}
+
+/**
+ * 根据配置创建归一化函数
+ * @param {boolean|Object|Function} spec - true（全部内置规则）| false / null（不归一化）|
+ *   内置规则选项 { traditional, width, case } | 自定义函数 text => string
+ * @returns {Function|null} 归一化函数，不归一化时返回 null
+ */
+function createNormalizer(spec) {
+    if (!spec) {
+        return null;
+    }
+
+    if (typeof spec === 'function') {
+        return spec;
+    }
+
+    if (spec === true) {
+        return text => normalizeText(text);
+    }
+
+    if (typeof spec === 'object') {
+        const options = { ...spec };
+        return text => normalizeText(text, options);
+    }
+
+    throw new Error('Normalizer must be a boolean, an options object or a function');
+}
+
+// ES Modules 导出
+export { normalizeText, createNormalizer };
@@ -0,0 +1,73 @@
+/**
+ * Pinyin.js
+ * 拼音转换 - 为关键词生成全拼与首字母，供 SearchEngine 的拼音匹配使用
+ *
+ * 使用内置拼音表（src/data/pinyinTable.js），多音字取最常用的读音，
+ * 常用词中的其他读音由词语表覆盖（最长匹配）。
+ */
+
+import { PINYIN_TABLE, PINYIN_WORDS } from '../data/pinyinTable.js';
+
+// 词语表中最长的词长
+const MAX_WORD_LENGTH = Math.max(...Object.keys(PINYIN_WORDS).map(word => word.length));
+
+// 汉字 → 拼音（首次使用时由拼音表生成）
+let charToPinyin = null;
+
+/**
+ * 获取汉字到拼音的映射
+ * @returns {Map} 汉字 → 拼音
+ */
+function getCharMap() {
+    if (!charToPinyin) {
+        charToPinyin = new Map();
+        Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+            for (const char of chars) {
+                if (!charToPinyin.has(char)) {
+                    charToPinyin.set(char, syllable);
+                }
+            }
+        });
+    }
+    return charToPinyin;
+}
+
+/**
+ * 获取关键词的拼音
+ * @param {string} keyword - 关键词
+ * @returns {Object|null} { full: 'kaixin', initials: 'kx' }，关键词含拼音表以外的字符时返回 null
+ */
+function toPinyin(keyword) {
+    const charMap = getCharMap();
+    const chars = Array.from(keyword);
+    const syllables = [];
+
+    for (let i = 0; i < chars.length;) {
+        // 先按最长匹配查找多音字词语
+        let length = Math.min(MAX_WORD_LENGTH, chars.length - i);
+        while (length >= 2 && !Object.prototype.hasOwnProperty.call(PINYIN_WORDS, chars.slice(i, i + length).join(''))) {
+            length--;
+        }
+
+        if (length >= 2) {
+            syllables.push(...PINYIN_WORDS[chars.slice(i, i + length).join('')].split(' '));
+            i += length;
+            continue;
+        }
+
+        const syllable = charMap.get(chars[i]);
+        if (!syllable) return null;
+        syllables.push(syllable);
+        i++;
+    }
+
+    if (syllables.length === 0) return null;
+
+    return {
+        full: syllables.join(''),
+        initials: syllables.map(s => s[0]).join('')
+    };
+}
+
+// ES Modules 导出
+export { toPinyin };
@@ -0,0 +1,199 @@
+/**
+ * RepetitionHistory.js
+ * 重复抑制历史 - 记录最近使用过的 kaomoji，供 KaomojiReplacer 降权或跳过
+ *
+ * 作用范围：
+ * - message: 只在一次 replaceText 调用内避免重复，不跨调用保留
+ * - chat:    按 chatId 分别记录（默认）
+ * - global:  所有调用共享一份记录
+ */
+
+const HISTORY_FORMAT = 'kaomoji-replacer-history';
+const HISTORY_VERSION = 1;
+
+// 重复处理方式
+const REPETITION_MODES = ['penalty', 'skip'];
+
+// 历史作用范围
+const HISTORY_SCOPES = ['message', 'chat', 'global'];
+
+// 未提供 chatId 时使用的默认键
+const DEFAULT_CHAT_ID = 'default';
+const GLOBAL_KEY = '*';
+
+class RepetitionHistory {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {number} options.window - 记住最近多少个 kaomoji（默认 5）
+     * @param {string} options.mode - 'penalty'（降权，默认）| 'skip'（跳过）
+     * @param {number} options.penalty - 降权系数，最近用过的结果分数乘以该值（默认 0.5）
+     * @param {string} options.scope - 'message' | 'chat'（默认）| 'global'
+     */
+    constructor(options = {}) {
+        this.window = options.window !== undefined ? options.window : 5;
+        this.mode = options.mode || 'penalty';
+        this.penalty = options.penalty !== undefined ? options.penalty : 0.5;
+        this.scope = options.scope || 'chat';
+
+        if (!Number.isInteger(this.window) || this.window < 0) {
+            throw new Error(`Invalid history window: ${this.window}`);
+        }
+        if (!REPETITION_MODES.includes(this.mode)) {
+            throw new Error(`Unknown repetition mode: ${this.mode}`);
+        }
+        if (!HISTORY_SCOPES.includes(this.scope)) {
+            throw new Error(`Unknown history scope: ${this.scope}`);
+        }
+
+        // 键 → 最近使用的 kaomoji 列表（从旧到新）
+        this.entries = new Map();
+    }
+
+    /**
+     * 获取作用范围对应的记录键
+     * @private
+     * @param {string} chatId - 聊天 ID
+     * @returns {string} 记录键
+     */
+    _key(chatId) {
+        return this.scope === 'global' ? GLOBAL_KEY : String(chatId ?? DEFAULT_CHAT_ID);
+    }
+
+    /**
+     * 获取最近使用的 kaomoji
+     * @param {string} chatId - 聊天 ID（scope 为 chat 时有效）
+     * @returns {Array} kaomoji 列表（从旧到新）
+     */
+    getRecent(chatId) {
+        if (this.scope === 'message') return [];
+        return [...(this.entries.get(this._key(chatId)) || [])];
+    }
+
+    /**
+     * 记录一次使用
+     * @param {string} kaomoji - 使用的 kaomoji
+     * @param {string} chatId - 聊天 ID（scope 为 chat 时有效）
+     */
+    record(kaomoji, chatId) {
+        if (this.scope === 'message') return;
+
+        const key = this._key(chatId);
+        const recent = this.entries.get(key) || [];
+        this.entries.set(key, this._push(recent, kaomoji));
+    }
+
+    /**
+     * 清空记录
+     * @param {string} chatId - 只清空该聊天的记录（省略时清空全部）
+     */
+    clear(chatId) {
+        if (chatId === undefined) {
+            this.entries.clear();
+        } else {
+            this.entries.delete(this._key(chatId));
+        }
+    }
+
+    /**
+     * 开始一次替换会话（一次 replaceText 调用）
+     * scope 为 message 时会话使用独立的临时记录，否则读写共享记录
+     * @param {string} chatId - 聊天 ID
+     * @returns {Object} { recent(): Array, record(kaomoji) }
+     */
+    session(chatId) {
+        if (this.scope === 'message') {
+            let recent = [];
+            return {
+                recent: () => recent,
+                record: kaomoji => { recent = this._push(recent, kaomoji); }
+            };
+        }
+
+        return {
+            recent: () => this.getRecent(chatId),
+            record: kaomoji => this.record(kaomoji, chatId)
+        };
+    }
+
+    /**
+     * 对排序后的搜索结果应用重复抑制
+     * penalty 模式下最近用过的结果分数乘以 penalty 后重新排序（标记 repeated: true）；
+     * skip 模式下直接移除，若全部被移除则保留原结果，避免标记因历史而找不到
+     * @param {Array} matches - SearchEngine.search 的结果
+     * @param {Array} recent - 最近使用的 kaomoji
+     * @returns {Array} 处理后的结果
+     */
+    apply(matches, recent) {
+        if (recent.length === 0 || matches.length === 0) {
+            return matches;
+        }
+
+        const used = new Set(recent);
+
+        if (this.mode === 'skip') {
+            const fresh = matches.filter(m => !used.has(m.kaomoji));
+            return fresh.length > 0 ? fresh : matches;
+        }
+
+        // sort 是稳定排序，同分时保持原有顺序
+        return matches
+            .map(m => used.has(m.kaomoji) ? { ...m, score: m.score * this.penalty, repeated: true } : m)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 导出记录（可 JSON 序列化，用于持久化）
+     * @returns {Object} 历史快照
+     */
+    export() {
+        const entries = {};
+        this.entries.forEach((recent, key) => {
+            entries[key] = [...recent];
+        });
+
+        return {
+            format: HISTORY_FORMAT,
+            version: HISTORY_VERSION,
+            entries
+        };
+    }
+
+    /**
+     * 导入记录（替换当前记录），超出窗口的旧记录会被丢弃
+     * @param {Object|string} snapshot - export() 的结果或其 JSON 字符串
+     */
+    import(snapshot) {
+        const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+        if (!data || data.format !== HISTORY_FORMAT || typeof data.entries !== 'object' || data.entries === null) {
+            throw new Error('Invalid history snapshot');
+        }
+        if (data.version !== HISTORY_VERSION) {
+            throw new Error(`Unsupported history snapshot version: ${data.version}`);
+        }
+
+        this.entries.clear();
+        Object.entries(data.entries).forEach(([key, recent]) => {
+            if (!Array.isArray(recent) || this.window === 0) return;
+            this.entries.set(key, recent.filter(k => typeof k === 'string').slice(-this.window));
+        });
+    }
+
+    /**
+     * 追加一条记录并裁剪到窗口大小（重复使用的 kaomoji 移到最新位置）
+     * @private
+     * @param {Array} recent - 当前记录
+     * @param {string} kaomoji - 新使用的 kaomoji
+     * @returns {Array} 新记录
+     */
+    _push(recent, kaomoji) {
+        if (this.window === 0) return [];
+
+        const next = recent.filter(k => k !== kaomoji);
+        next.push(kaomoji);
+        return next.slice(-this.window);
+    }
+}
+
+// ES Modules 导出
+export default RepetitionHistory;
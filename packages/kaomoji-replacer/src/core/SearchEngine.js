@@ -4,6 +4,41 @@
  * 用于在文本中查找和评分关键词匹配
  */
 
+import { createTokenizer, createLanguageTokenizer, LANGUAGES } from './Tokenizer.js';
+import { toPinyin } from './Pinyin.js';
+import { createNormalizer } from './Normalizer.js';
+
+// 同分结果的排序方式
+const TIE_BREAKS = ['random', 'stable', 'weight'];
+
+/**
+ * 编辑距离（Levenshtein，按字符计）
+ * @param {Array} a - 字符数组
+ * @param {Array} b - 字符数组
+ * @returns {number} 把 a 变为 b 所需的最少插入、删除、替换次数
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// 索引快照格式标识与版本（格式变化时递增版本号）
+const INDEX_FORMAT = 'kaomoji-replacer-index';
+const INDEX_VERSION = 1;
+
 class SearchEngine {
     constructor(config = {}) {
         // BM25 参数
@@ -11,12 +46,55 @@ class SearchEngine {
         this.b = config.b || 0.75;   // 长度归一化参数
         this.charWeight = config.charWeight || 0.6; // 单字匹配权重系数
 
+        // 拼音匹配：为关键词索引全拼与首字母（如 开心 → kaixin / kx），查询中的字母词按拼音计分
+        this.pinyin = config.pinyin || false;
+        this.pinyinWeight = config.pinyinWeight !== undefined ? config.pinyinWeight : 0.8; // 拼音匹配权重系数
+
+        // 归一化：索引关键词与查询前统一写法（繁体转简体、全角转半角、字母转小写）
+        // true | { traditional, width, case } | 自定义函数 text => string；默认不归一化
+        this.normalizer = createNormalizer(config.normalize);
+
+        // 同义词扩展：查询词的同义词也参与整词计分，得分乘以 synonymWeight
+        this.synonyms = new Map();   // 词 -> 同义词集合（已归一化）
+        this.synonymWeight = config.synonymWeight !== undefined ? config.synonymWeight : 0.7; // 同义词匹配权重系数
+        if (config.synonyms) {
+            this.setSynonyms(config.synonyms);
+        }
+
+        // 模糊匹配：词表中没有的查询词按编辑距离纠正为最相近的关键词（如 开新 → 开心）
+        this.fuzzy = config.fuzzy || false;
+        this.fuzzyThreshold = config.fuzzyThreshold !== undefined ? config.fuzzyThreshold : 0.5; // 最低相似度
+        this.fuzzyWeight = config.fuzzyWeight !== undefined ? config.fuzzyWeight : 0.6;          // 纠正匹配权重系数
+        this.fuzzyMinLength = config.fuzzyMinLength !== undefined ? config.fuzzyMinLength : 2;   // 参与纠正的最短词长
+
+        // 分词器：内置名称（'ngram' | 'max-match'）或实现了 tokenize(text) 的对象
+        this.tokenizer = createTokenizer(config.tokenizer);
+
+        // 语言分词器：数据项带 lang 字段（'ja' | 'en'）时，其关键词按对应语言转换后索引，
+        // 查询也会额外经过索引中出现的各语言分词器
+        this.languageTokenizers = new Map();  // 语言 -> 分词器实例（按需创建）
+        this.languageDocCounts = new Map();   // 语言 -> 文档数
+
+        // 同分排序：'random'（默认，随机打乱同分结果）| 'stable'（按文档顺序）| 'weight'（按颜文字权重）
+        this.tieBreak = this._validateTieBreak(config.tieBreak || 'random');
+        // 随机数来源：返回 [0, 1) 的函数，可传入带种子的生成器以复现结果
+        this.random = config.random || Math.random;
+
         // 索引数据
         this.documents = [];         // 文档列表（每个kaomoji的keywords作为一个文档）
         this.avgDocLength = 0;       // 平均文档长度（整词）
         this.avgCharDocLength = 0;   // 平均文档长度（单字）
-        this.idf = new Map();        // 整词IDF值缓存
-        this.charIdf = new Map();    // 单字IDF值缓存
+
+        // 全局倒排索引：整词/单字/拼音 -> 包含它的文档集合（集合大小即文档频率 df）
+        // IDF 由 df 与文档数按需计算，增删文档时无需重算整张 IDF 表
+        this.termPostings = new Map();
+        this.charPostings = new Map();
+        this.pinyinPostings = new Map();
+
+        // 增量更新所需的统计量（避免每次改动都扫描全部文档）
+        this.totalDocLength = 0;         // 整词总长度
+        this.totalCharDocLength = 0;     // 单字总长度
+        this._nextDocId = 0;             // 文档序号（'stable' 同分排序依据）
     }
 
     /**
@@ -44,106 +122,620 @@ class SearchEngine {
 
     /**
      * 构建索引
+     * 同一 kaomoji 出现多次时各自成为文档（关键词、分类都保留）；
+     * 增量删除 / 更新与 KaomojiDataManager 一样作用于其中的第一个
      * @param {Array} kaomojis - kaomoji 数据数组
      */
     buildIndex(kaomojis) {
-        this.documents = kaomojis.map(item => {
-            // 解析关键词权重
-            const keywordWeights = new Map(); // 存储关键词到权重的映射
-            const keywords = item.keywords.map(kw => {
-                const { keyword, weight } = this._parseKeywordWeight(kw);
-                keywordWeights.set(keyword, weight);
-                return keyword;
-            });
+        this._nextDocId = 0;
+        this.documents = kaomojis.map(item => this._createDocument(item));
+
+        // 重新构建倒排索引并统计文档长度
+        this.termPostings = new Map();
+        this.charPostings = new Map();
+        this.pinyinPostings = new Map();
+        this.languageDocCounts = new Map();
+        this.totalDocLength = 0;
+        this.totalCharDocLength = 0;
+        this.documents.forEach(doc => this._applyDocumentStats(doc, 1));
+
+        this._refreshIndexStats();
+    }
 
-            // 拆分所有keywords为单字（使用flatMap简化）
-            const chars = keywords.flatMap(keyword => keyword.split(''));
+    /**
+     * 增量添加文档
+     * @param {Object} item - kaomoji 数据 { kaomoji, keywords, weight?, category? }
+     * @returns {boolean} 是否成功（已存在相同 kaomoji 时返回 false）
+     */
+    addDocument(item) {
+        if (this.documents.some(doc => doc.kaomoji === item.kaomoji)) {
+            return false;
+        }
+
+        const doc = this._createDocument(item);
+        this.documents.push(doc);
+        this._applyDocumentStats(doc, 1);
+        this._refreshIndexStats();
+        return true;
+    }
+
+    /**
+     * 增量删除文档（有重复的 kaomoji 时删除第一个，与 KaomojiDataManager.removeKaomoji 一致）
+     * @param {string} kaomoji - 颜文字文本
+     * @returns {boolean} 是否成功（未找到时返回 false）
+     */
+    removeDocument(kaomoji) {
+        const index = this.documents.findIndex(doc => doc.kaomoji === kaomoji);
+        if (index === -1) {
+            return false;
+        }
+
+        const [doc] = this.documents.splice(index, 1);
+        this._applyDocumentStats(doc, -1);
+        this._refreshIndexStats();
+        return true;
+    }
 
-            // 预计算词频以提高搜索性能
-            const keywordFreq = new Map();
-            for (const keyword of keywords) {
-                keywordFreq.set(keyword, (keywordFreq.get(keyword) || 0) + 1);
+    /**
+     * 增量更新文档（保持文档原有位置；有重复的 kaomoji 时更新第一个，与 KaomojiDataManager.updateKaomoji 一致）
+     * @param {string} kaomoji - 原颜文字文本
+     * @param {Object} item - 新的 kaomoji 数据
+     * @returns {boolean} 是否成功（未找到或新 kaomoji 与其他文档冲突时返回 false）
+     */
+    updateDocument(kaomoji, item) {
+        const index = this.documents.findIndex(doc => doc.kaomoji === kaomoji);
+        if (index === -1) {
+            return false;
+        }
+
+        if (item.kaomoji !== kaomoji && this.documents.some(doc => doc.kaomoji === item.kaomoji)) {
+            return false;
+        }
+
+        const doc = this._createDocument(item);
+        doc.id = this.documents[index].id;   // 保持文档顺序
+        this._applyDocumentStats(this.documents[index], -1);
+        this.documents[index] = doc;
+        this._applyDocumentStats(doc, 1);
+        this._refreshIndexStats();
+        return true;
+    }
+
+    /**
+     * 将 kaomoji 数据项转换为索引文档
+     * @private
+     * @param {Object} item - kaomoji 数据项
+     * @returns {Object} 索引文档
+     */
+    _createDocument(item) {
+        const language = this._languageTokenizer(item.lang);
+
+        // 解析关键词权重
+        const keywordWeights = new Map(); // 存储关键词到权重的映射
+        const keywords = [];
+        const terms = item.keywords.map(kw => {
+            const parsed = this._parseKeywordWeight(kw);
+            let term = this.normalize(parsed.keyword);
+            if (language) {
+                term = language.normalize(term);
             }
+            keywordWeights.set(term, parsed.weight);
+            keywords.push(parsed.keyword);
+            return term;
+        });
 
-            const charFreq = new Map();
-            for (const char of chars) {
-                charFreq.set(char, (charFreq.get(char) || 0) + 1);
+        return this._buildDocument(item, terms, keywordWeights, keywords);
+    }
+
+    /**
+     * 由已解析的关键词构建索引文档（预计算词频与单字倒排）
+     * @private
+     * @param {Object} item - kaomoji 数据项 { kaomoji, weight?, category?, lang? }
+     * @param {Array} terms - 关键词的索引形式（已归一化，不含权重前缀）
+     * @param {Map} keywordWeights - 关键词权重Map（以索引形式为键）
+     * @param {Array} keywords - 原始关键词（用于展示和 unreplace，与 terms 一一对应），默认同 terms
+     * @returns {Object} 索引文档
+     */
+    _buildDocument(item, terms, keywordWeights, keywords = terms) {
+        const lang = this._documentLang(item.lang);
+
+        // 拆分关键词为单字；带语言的文档只拆出汉字（单个字母或假名不表达意思，只会带来噪声）
+        const splitChars = lang
+            ? keyword => keyword.match(/\p{Script=Han}/gu) || []
+            : keyword => keyword.split('');
+
+        // 拆分所有keywords为单字（使用flatMap简化）
+        const chars = terms.flatMap(splitChars);
+
+        // 预计算词频以提高搜索性能
+        const keywordFreq = new Map();
+        for (const term of terms) {
+            keywordFreq.set(term, (keywordFreq.get(term) || 0) + 1);
+        }
+
+        // 索引形式 -> 原始关键词（多个关键词归一化后相同时取第一个）
+        const termKeywords = new Map();
+        terms.forEach((term, i) => {
+            if (!termKeywords.has(term)) {
+                termKeywords.set(term, keywords[i]);
             }
+        });
+
+        const charFreq = new Map();
+        for (const char of chars) {
+            charFreq.set(char, (charFreq.get(char) || 0) + 1);
+        }
+
+        // 预计算多字关键词
+        const multiCharKeywords = terms.filter(kw => kw.length >= 2);
 
-            // 预计算多字关键词
-            const multiCharKeywords = keywords.filter(kw => kw.length >= 2);
+        // 预计算倒排索引：单字 -> 包含该单字的多字关键词列表（性能优化）
+        const charToMultiCharKeywords = new Map();
+        multiCharKeywords.forEach(kw => {
+            // 使用 Set 确保每个关键词中的字符只处理一次
+            [...new Set(splitChars(kw))].forEach(char => {
+                if (!charToMultiCharKeywords.has(char)) {
+                    charToMultiCharKeywords.set(char, []);
+                }
+                charToMultiCharKeywords.get(char).push(kw);
+            });
+        });
 
-            // 预计算倒排索引：单字 -> 包含该单字的多字关键词列表（性能优化）
-            const charToMultiCharKeywords = new Map();
-            multiCharKeywords.forEach(kw => {
-                // 使用 Set 确保每个关键词中的字符只处理一次
-                [...new Set(kw.split(''))].forEach(char => {
-                    if (!charToMultiCharKeywords.has(char)) {
-                        charToMultiCharKeywords.set(char, []);
+        // 拼音词 -> 对应的关键词（全拼对所有关键词，首字母只对多字关键词，避免单个字母命中）
+        const pinyinFreq = new Map();
+        const pinyinKeywords = new Map();
+        if (this.pinyin) {
+            terms.forEach(keyword => {
+                const pinyin = toPinyin(keyword);
+                if (!pinyin) return;
+
+                const terms = new Set([pinyin.full]);
+                if (keyword.length >= 2) {
+                    terms.add(pinyin.initials);
+                }
+                terms.forEach(term => {
+                    pinyinFreq.set(term, (pinyinFreq.get(term) || 0) + 1);
+                    if (!pinyinKeywords.has(term)) {
+                        pinyinKeywords.set(term, []);
+                    }
+                    if (!pinyinKeywords.get(term).includes(keyword)) {
+                        pinyinKeywords.get(term).push(keyword);
                     }
-                    charToMultiCharKeywords.get(char).push(kw);
                 });
             });
+        }
 
-            return {
-                kaomoji: item.kaomoji,
-                keywords: keywords,      // 整词关键词（已解析，不含权重前缀）
-                keywordWeights: keywordWeights,  // 关键词权重Map
-                chars: chars,            // 单字关键词
-                keywordFreq: keywordFreq,  // 整词词频Map
-                charFreq: charFreq,        // 单字词频Map
-                multiCharKeywords: multiCharKeywords,  // 预计算多字关键词
-                charToMultiCharKeywords: charToMultiCharKeywords,  // 倒排索引：单字->多字关键词
-                weight: item.weight || 1.0,
-                category: item.category || ''
-            };
-        });
+        return {
+            id: this._nextDocId++,   // 文档序号
+            kaomoji: item.kaomoji,
+            keywords: keywords,      // 原始关键词（不含权重前缀，用于展示）
+            terms: terms,            // 整词关键词的索引形式（已归一化，参与计分）
+            termKeywords: termKeywords,  // 索引形式->原始关键词
+            keywordWeights: keywordWeights,  // 关键词权重Map
+            chars: chars,            // 单字关键词
+            keywordFreq: keywordFreq,  // 整词词频Map
+            charFreq: charFreq,        // 单字词频Map
+            multiCharKeywords: multiCharKeywords,  // 预计算多字关键词
+            charToMultiCharKeywords: charToMultiCharKeywords,  // 倒排索引：单字->多字关键词
+            pinyinFreq: pinyinFreq,          // 拼音词频Map（未开启拼音时为空）
+            pinyinKeywords: pinyinKeywords,  // 拼音词->关键词
+            weight: item.weight || 1.0,
+            category: item.category || '',
+            lang: lang               // 语言（未设置或 'zh' 时为 null）
+        };
+    }
 
-        // 计算平均文档长度（整词）
-        const totalLength = this.documents.reduce((sum, doc) =>
-            sum + doc.keywords.length, 0);
-        this.avgDocLength = totalLength / this.documents.length;
+    /**
+     * 将文档加入（delta = 1）或移出（delta = -1）倒排索引和长度统计
+     * @private
+     * @param {Object} doc - 索引文档
+     * @param {number} delta - 1 或 -1
+     */
+    _applyDocumentStats(doc, delta) {
+        this.totalDocLength += doc.terms.length * delta;
+        this.totalCharDocLength += doc.chars.length * delta;
 
-        // 计算平均文档长度（单字）
-        const totalCharLength = this.documents.reduce((sum, doc) =>
-            sum + doc.chars.length, 0);
-        this.avgCharDocLength = totalCharLength / this.documents.length;
+        const updatePostings = (postings, key) => {
+            let docs = postings.get(key);
 
-        // 计算整词和单字的IDF
-        this._calculateIDF();
+            if (delta > 0) {
+                if (!docs) {
+                    docs = new Set();
+                    postings.set(key, docs);
+                }
+                docs.add(doc);
+            } else if (docs) {
+                docs.delete(doc);
+                if (docs.size === 0) {
+                    postings.delete(key);
+                }
+            }
+        };
+
+        doc.keywordFreq.forEach((tf, term) => updatePostings(this.termPostings, term));
+        doc.charFreq.forEach((tf, char) => updatePostings(this.charPostings, char));
+        doc.pinyinFreq.forEach((tf, term) => updatePostings(this.pinyinPostings, term));
+
+        if (doc.lang) {
+            const count = (this.languageDocCounts.get(doc.lang) || 0) + delta;
+            if (count > 0) {
+                this.languageDocCounts.set(doc.lang, count);
+            } else {
+                this.languageDocCounts.delete(doc.lang);
+            }
+        }
     }
 
     /**
-     * 计算 IDF (Inverse Document Frequency)
-     * 分别计算整词和单字的IDF
+     * 根据当前统计量刷新平均文档长度和分词词典
+     * @private
      */
-    _calculateIDF() {
-        const termDocCount = new Map();
-        const charDocCount = new Map();
+    _refreshIndexStats() {
         const N = this.documents.length;
 
-        // 统计每个整词和单字出现在多少个文档中（合并循环提高效率）
-        this.documents.forEach(doc => {
-            const uniqueTerms = new Set(doc.keywords);
-            uniqueTerms.forEach(term => {
-                termDocCount.set(term, (termDocCount.get(term) || 0) + 1);
+        // 计算平均文档长度（整词 / 单字）
+        this.avgDocLength = N > 0 ? this.totalDocLength / N : 0;
+        this.avgCharDocLength = N > 0 ? this.totalCharDocLength / N : 0;
+
+        // 把关键词词表同步给分词器（用作分词词典）
+        this._syncTokenizerVocabulary();
+    }
+
+    /**
+     * 导出索引快照（JSON 安全，可直接 JSON.stringify 或存入 IndexedDB）
+     * @param {Object} meta - 可选的附加信息（如数据来源的哈希，用于判断快照是否过期）
+     * @returns {Object} 索引快照
+     */
+    exportIndex(meta = null) {
+        return {
+            format: INDEX_FORMAT,
+            version: INDEX_VERSION,
+            meta: meta,
+            // 文档：[kaomoji, 关键词索引形式, 关键词权重（全为 1 时为 null）, 颜文字权重, 分类,
+            //        语言（可省略）, 原始关键词（与索引形式相同时省略）]
+            documents: this.documents.map(doc => {
+                const weights = doc.terms.map(term => doc.keywordWeights.get(term));
+                const entry = [
+                    doc.kaomoji,
+                    doc.terms,
+                    weights.every(w => w === 1) ? null : weights,
+                    doc.weight,
+                    doc.category
+                ];
+                const rawKeywords = doc.keywords.some((kw, i) => kw !== doc.terms[i]);
+                if (doc.lang || rawKeywords) {
+                    entry.push(doc.lang);
+                }
+                if (rawKeywords) {
+                    entry.push(doc.keywords);
+                }
+                return entry;
+            }),
+            idf: [...this.idf],
+            charIdf: [...this.charIdf]
+        };
+    }
+
+    /**
+     * 从索引快照恢复索引（跳过关键词解析；IDF 由倒排索引按需计算，快照中的 idf 仅供查看）
+     * @param {Object|string} snapshot - exportIndex 的结果或其 JSON 字符串
+     */
+    importIndex(snapshot) {
+        const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+        if (!data || data.format !== INDEX_FORMAT) {
+            throw new Error('Invalid index snapshot');
+        }
+
+        if (data.version !== INDEX_VERSION) {
+            throw new Error(`Unsupported index snapshot version: ${data.version} (expected ${INDEX_VERSION})`);
+        }
+
+        this._nextDocId = 0;
+        this.documents = data.documents.map(([kaomoji, terms, weights, weight, category, lang, keywords]) => {
+            const keywordWeights = new Map();
+            terms.forEach((term, i) => keywordWeights.set(term, weights ? weights[i] : 1.0));
+            return this._buildDocument({ kaomoji, weight, category, lang }, terms, keywordWeights, keywords || terms);
+        });
+
+        this.termPostings = new Map();
+        this.charPostings = new Map();
+        this.pinyinPostings = new Map();
+        this.languageDocCounts = new Map();
+        this.totalDocLength = 0;
+        this.totalCharDocLength = 0;
+        this.documents.forEach(doc => this._applyDocumentStats(doc, 1));
+
+        this._refreshIndexStats();
+    }
+
+    /**
+     * 归一化文本（未配置 normalize 时原样返回）
+     * 索引关键词与查询都会经过这一步；修改归一化方式后需要重新构建索引
+     * @param {string} text - 文本
+     * @returns {string} 归一化后的文本
+     */
+    normalize(text) {
+        return this.normalizer ? this.normalizer(text) : text;
+    }
+
+    /**
+     * 设置同义词表（替换原有的同义词表，无需重新构建索引）
+     * @param {Array} groups - 同义词组数组，每组中的词互为同义词，如 [['开心', '高兴', '快乐']]
+     */
+    setSynonyms(groups) {
+        if (!Array.isArray(groups) || !groups.every(Array.isArray)) {
+            throw new Error('Synonym groups must be an array of string arrays');
+        }
+
+        this.synonyms = new Map();
+        groups.forEach(group => {
+            const words = [...new Set(group.map(word => this.normalize(String(word)).trim()).filter(w => w.length > 0))];
+
+            words.forEach(word => {
+                if (!this.synonyms.has(word)) {
+                    this.synonyms.set(word, new Set());
+                }
+                words.forEach(other => {
+                    if (other !== word) this.synonyms.get(word).add(other);
+                });
             });
+        });
+    }
+
+    /**
+     * 获取某个词的同义词
+     * @param {string} word - 词
+     * @returns {Array} 同义词列表（没有同义词时为空数组）
+     */
+    getSynonyms(word) {
+        return [...(this.synonyms.get(this.normalize(word)) || [])];
+    }
+
+    /**
+     * 用同义词扩展查询词
+     * @private
+     * @param {Array} queryTerms - 查询词列表
+     * @returns {Array} 扩展项 [{ term: 原查询词, synonym: 同义词 }]，已在查询中的词不重复扩展
+     */
+    _expandQuery(queryTerms) {
+        if (this.synonyms.size === 0) return [];
 
-            const uniqueChars = new Set(doc.chars);
-            uniqueChars.forEach(char => {
-                charDocCount.set(char, (charDocCount.get(char) || 0) + 1);
+        const queryTermsSet = new Set(queryTerms);
+        const seen = new Set();
+        const expansions = [];
+
+        queryTerms.forEach(term => {
+            (this.synonyms.get(term) || []).forEach(synonym => {
+                if (queryTermsSet.has(synonym) || seen.has(synonym)) return;
+                seen.add(synonym);
+                expansions.push({ term, synonym });
             });
         });
 
-        // 计算整词 IDF: log((N - df + 0.5) / (df + 0.5) + 1)
-        termDocCount.forEach((df, term) => {
-            this.idf.set(term, Math.log((N - df + 0.5) / (df + 0.5) + 1));
+        return expansions;
+    }
+
+    /**
+     * 为查询中的词给出纠正建议（不受 fuzzy 配置影响，供编辑界面提示"你是不是要找"）
+     * @param {string|Object} query - 查询文本或结构化查询
+     * @returns {Array} 纠正建议 [{ term: 原查询词, correction: 关键词, similarity: 相似度 }]
+     */
+    didYouMean(query) {
+        const { text } = this._normalizeQuery(query);
+        if (!text || this.documents.length === 0) {
+            return [];
+        }
+        return this._correctQuery(text);
+    }
+
+    /**
+     * 把查询中词表里没有的词纠正为最相近的关键词
+     * 按空格和标点切出的整词处理（而不是分词器产生的子串），因此主要作用于标记中的关键词；
+     * 只处理不短于 fuzzyMinLength（至少两个字）、且不包含任何已知关键词的词（如 "好开心" 包含 "开心"，不是错字）
+     * @private
+     * @param {string} text - 已归一化的查询文本
+     * @returns {Array} 纠正结果 [{ term, correction, similarity }]，同一关键词只纠正一次
+     */
+    _correctQuery(text) {
+        const seen = new Set();
+        const corrections = [];
+        const words = [...new Set(text.match(/[\p{L}\p{N}]+/gu) || [])];
+
+        words.forEach(word => {
+            // 带语言的数据以转换后的形式索引（如英文词干），各种形式都未知时才纠正
+            const variants = this._textVariants(word);
+            if (Array.from(word).length < Math.max(2, this.fuzzyMinLength) || variants.some(v => this.termPostings.has(v) || this._containsKnownTerm(v))) return;
+
+            const suggestion = variants
+                .map(v => this._closestKeyword(v))
+                .filter(Boolean)
+                .sort((a, b) => b.similarity - a.similarity)[0];
+            if (!suggestion || seen.has(suggestion.keyword)) return;
+
+            seen.add(suggestion.keyword);
+            corrections.push({ term: word, correction: suggestion.keyword, similarity: suggestion.similarity });
+        });
+
+        return corrections;
+    }
+
+    /**
+     * 判断词中是否包含词表中的多字关键词
+     * @private
+     * @param {string} term - 查询词
+     * @returns {boolean}
+     */
+    _containsKnownTerm(term) {
+        const chars = Array.from(term);
+        for (let len = chars.length - 1; len >= 2; len--) {
+            for (let i = 0; i <= chars.length - len; i++) {
+                if (this.termPostings.has(chars.slice(i, i + len).join(''))) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 查找与查询词最相近的关键词（相似度 = 1 - 编辑距离 / 较长词的长度）
+     * 相似度相同时取出现在更多颜文字中的关键词
+     * @private
+     * @param {string} term - 查询词
+     * @returns {Object|null} { keyword, similarity }，没有达到 fuzzyThreshold 的关键词时返回 null
+     */
+    _closestKeyword(term) {
+        const termChars = Array.from(term);
+        let best = null;
+
+        this.termPostings.forEach((docs, keyword) => {
+            const keywordChars = Array.from(keyword);
+            if (keywordChars.length < 2) return;
+
+            // 长度相差过大时相似度不可能达到阈值，跳过编辑距离计算
+            const maxLength = Math.max(termChars.length, keywordChars.length);
+            const lengthDiff = Math.abs(termChars.length - keywordChars.length);
+            if (1 - lengthDiff / maxLength < this.fuzzyThreshold) return;
+
+            const similarity = 1 - editDistance(termChars, keywordChars) / maxLength;
+            if (similarity < this.fuzzyThreshold) return;
+
+            if (!best || similarity > best.similarity ||
+                (similarity === best.similarity && docs.size > best.df)) {
+                best = { keyword, similarity, df: docs.size };
+            }
         });
 
-        // 计算单字 IDF: log((N - df + 0.5) / (df + 0.5) + 1)
-        charDocCount.forEach((df, char) => {
-            this.charIdf.set(char, Math.log((N - df + 0.5) / (df + 0.5) + 1));
+        return best ? { keyword: best.keyword, similarity: best.similarity } : null;
+    }
+
+    /**
+     * 校验数据项的语言
+     * @private
+     * @param {string} lang - 语言代码
+     * @returns {string|null} 语言代码，未设置或为 'zh' 时返回 null（使用默认分词器）
+     */
+    _documentLang(lang) {
+        if (lang === undefined || lang === null || lang === '' || lang === LANGUAGES.ZH) {
+            return null;
+        }
+
+        if (!Object.values(LANGUAGES).includes(lang)) {
+            throw new Error(`Unknown language: ${lang}`);
+        }
+        return lang;
+    }
+
+    /**
+     * 获取语言分词器（按需创建并缓存）
+     * @private
+     * @param {string} lang - 语言代码
+     * @returns {Object|null} 语言分词器，不需要语言分词器时返回 null
+     */
+    _languageTokenizer(lang) {
+        lang = this._documentLang(lang);
+        if (!lang) return null;
+
+        if (!this.languageTokenizers.has(lang)) {
+            this.languageTokenizers.set(lang, createLanguageTokenizer(lang));
+        }
+        return this.languageTokenizers.get(lang);
+    }
+
+    /**
+     * 文本在各语言下的索引形式（用于在文本中查找关键词）
+     * @private
+     * @param {string} text - 已归一化的文本
+     * @returns {Array} [原文本, ...索引中出现的各语言的转换结果]（去重）
+     */
+    _textVariants(text) {
+        const variants = [text];
+        this.languageDocCounts.forEach((count, lang) => {
+            variants.push(this._languageTokenizer(lang).normalize(text));
         });
+        return [...new Set(variants)];
+    }
+
+    /**
+     * 设置分词器
+     * @param {string|Object|null} tokenizer - 内置分词器名称或实现了 tokenize(text) 的对象，null 时使用 n-gram 分词器
+     */
+    setTokenizer(tokenizer) {
+        this.tokenizer = createTokenizer(tokenizer);
+        this._syncTokenizerVocabulary();
+    }
+
+    /**
+     * 将当前关键词词表传给分词器（仅当分词器支持 setVocabulary 时）
+     * @private
+     */
+    _syncTokenizerVocabulary() {
+        if (typeof this.tokenizer.setVocabulary === 'function') {
+            this.tokenizer.setVocabulary(this.termPostings.keys());
+        }
+    }
+
+    /**
+     * 计算 IDF (Inverse Document Frequency): log((N - df + 0.5) / (df + 0.5) + 1)
+     * 直接由倒排索引的文档频率得出，文档增删后自动生效
+     * @private
+     * @param {Map} postings - 倒排索引（termPostings / charPostings / pinyinPostings）
+     * @param {string} key - 整词、单字或拼音词
+     * @returns {number} IDF（不在索引中时为 0）
+     */
+    _idf(postings, key) {
+        const docs = postings.get(key);
+        if (!docs) return 0;
+
+        const N = this.documents.length;
+        const df = docs.size;
+        return Math.log((N - df + 0.5) / (df + 0.5) + 1);
+    }
+
+    /**
+     * 整个倒排索引的 IDF 表（按需生成，用于导出和调试）
+     * @private
+     * @param {Map} postings - 倒排索引
+     * @returns {Map} 词 -> IDF
+     */
+    _idfTable(postings) {
+        const table = new Map();
+        postings.forEach((docs, key) => table.set(key, this._idf(postings, key)));
+        return table;
+    }
+
+    /**
+     * 整词 IDF 表
+     * @returns {Map}
+     */
+    get idf() {
+        return this._idfTable(this.termPostings);
+    }
+
+    /**
+     * 单字 IDF 表
+     * @returns {Map}
+     */
+    get charIdf() {
+        return this._idfTable(this.charPostings);
+    }
+
+    /**
+     * 拼音词 IDF 表（拼音词由关键词推导，不写入索引快照）
+     * @returns {Map}
+     */
+    get pinyinIdf() {
+        return this._idfTable(this.pinyinPostings);
+    }
+
+    /**
+     * 从查询词中取出可能是拼音的词（纯字母，转为小写）
+     * @private
+     * @param {Array} queryTerms - 查询词列表
+     * @returns {Array} 拼音查询词（未开启拼音时为空）
+     */
+    _pinyinQueries(queryTerms) {
+        if (!this.pinyin) return [];
+        return [...new Set(queryTerms.filter(term => /^[a-zA-Z]+$/.test(term)).map(term => term.toLowerCase()))];
     }
 
     /**
@@ -199,12 +791,21 @@ class SearchEngine {
      * @param {Array} queryChars - 查询单字列表（去重）
      * @param {Array} singleCharQueries - 单字查询词列表（预提取，避免重复计算）
      * @param {Object} doc - 文档对象
+     * @param {Object} explanation - 可选，传入空对象时填充各部分得分明细（见 explain）
+     * @param {Array} expansions - 同义词扩展 [{ term, synonym }]（见 _expandQuery），按整词计分并乘以 synonymWeight
+     * @param {Array} corrections - 模糊纠正 [{ term, correction, similarity }]（见 _correctQuery），按整词计分并乘以相似度与 fuzzyWeight
      * @returns {number} BM25 分数
      */
-    _calculateBM25(queryTerms, queryChars, singleCharQueries, doc) {
+    _calculateBM25(queryTerms, queryChars, singleCharQueries, doc, explanation = null, expansions = [], corrections = []) {
         // 1. 整词匹配分数
         let wholeWordScore = 0;
-        const docLength = doc.keywords.length;
+        const docLength = doc.terms.length;
+        const lengthNorm = 1 - this.b + this.b * (docLength / this.avgDocLength);
+
+        // 各部分得分明细（仅在需要解释时记录）
+        const wholeWordTerms = [];
+        const singleCharTerms = [];
+        const charTerms = [];
 
         // 记录哪些单字查询词已经在整词匹配中计分
         const scoredSingleChars = new Set();
@@ -212,6 +813,9 @@ class SearchEngine {
         // 记录匹配到的关键词（用于计算关键词权重）
         const matchedKeywords = new Set();
 
+        // 记录按整词计分的关键词（同义词与模糊匹配不再重复计分；单字命中的关键词仍可计分）
+        const wholeMatchedKeywords = new Set();
+
         queryTerms.forEach(term => {
             // 使用预计算的词频Map（避免每次filter）
             const tf = doc.keywordFreq.get(term) || 0;
@@ -220,15 +824,21 @@ class SearchEngine {
 
             // 记录匹配到的关键词
             matchedKeywords.add(term);
+            wholeMatchedKeywords.add(term);
 
             // 获取 IDF
-            const idf = this.idf.get(term) || 0;
+            const idf = this._idf(this.termPostings, term);
 
             // BM25 公式
             const numerator = tf * (this.k1 + 1);
-            const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / this.avgDocLength));
+            const denominator = tf + this.k1 * lengthNorm;
+            const contribution = idf * (numerator / denominator);
+
+            wholeWordScore += contribution;
 
-            wholeWordScore += idf * (numerator / denominator);
+            if (explanation) {
+                wholeWordTerms.push({ term, tf, idf, contribution });
+            }
         });
 
         // 2. 单字查询词在多字关键词中的匹配（按整词匹配算分）
@@ -248,16 +858,21 @@ class SearchEngine {
 
                 if (tf > 0) {
                     // 使用整词的IDF（如果有），否则使用单字的IDF
-                    const idf = this.idf.get(singleChar) || this.charIdf.get(singleChar) || 0;
+                    const idf = this._idf(this.termPostings, singleChar) || this._idf(this.charPostings, singleChar);
 
                     // BM25 公式（使用整词文档长度）
                     const numerator = tf * (this.k1 + 1);
-                    const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / this.avgDocLength));
+                    const denominator = tf + this.k1 * lengthNorm;
+                    const contribution = idf * (numerator / denominator);
 
-                    wholeWordScore += idf * (numerator / denominator);
+                    wholeWordScore += contribution;
 
                     // 标记该单字已经计分，避免在拆字匹配中重复计分
                     scoredSingleChars.add(singleChar);
+
+                    if (explanation) {
+                        singleCharTerms.push({ term: singleChar, keywords: this._displayKeywords(doc, matchingKeywords), tf, idf, contribution });
+                    }
                 }
             }
         });
@@ -265,6 +880,7 @@ class SearchEngine {
         // 3. 单字匹配分数（排除已经在整词匹配中计分的单字）
         let charScore = 0;
         const charDocLength = doc.chars.length;
+        const charLengthNorm = 1 - this.b + this.b * (charDocLength / this.avgCharDocLength);
 
         // 对单字进行BM25匹配（queryChars已去重，避免重复计分）
         queryChars.forEach(char => {
@@ -279,44 +895,276 @@ class SearchEngine {
             if (tf === 0) return;
 
             // 获取单字 IDF
-            const idf = this.charIdf.get(char) || 0;
+            const idf = this._idf(this.charPostings, char);
 
             // BM25 公式
             const numerator = tf * (this.k1 + 1);
-            const denominator = tf + this.k1 * (1 - this.b + this.b * (charDocLength / this.avgCharDocLength));
+            const denominator = tf + this.k1 * charLengthNorm;
+            const contribution = idf * (numerator / denominator);
+
+            charScore += contribution;
+
+            if (explanation) {
+                charTerms.push({ term: char, tf, idf, contribution });
+            }
+        });
+
+        // 4. 拼音匹配分数（按整词文档长度计算，已按整词命中的关键词不重复计分）
+        let pinyinScore = 0;
+        const pinyinTerms = [];
+
+        this._pinyinQueries(queryTerms).forEach(term => {
+            const tf = doc.pinyinFreq.get(term) || 0;
+            if (tf === 0) return;
+
+            const keywords = doc.pinyinKeywords.get(term).filter(kw => !matchedKeywords.has(kw));
+            if (keywords.length === 0) return;
+            keywords.forEach(kw => {
+                matchedKeywords.add(kw);
+                wholeMatchedKeywords.add(kw);
+            });
+
+            const idf = this._idf(this.pinyinPostings, term);
+            const numerator = tf * (this.k1 + 1);
+            const denominator = tf + this.k1 * lengthNorm;
+            const contribution = idf * (numerator / denominator);
 
-            charScore += idf * (numerator / denominator);
+            pinyinScore += contribution;
+
+            if (explanation) {
+                pinyinTerms.push({ term, keywords: this._displayKeywords(doc, keywords), tf, idf, contribution });
+            }
         });
 
-        // 4. 组合分数：整词分数 + 单字分数 × 权重系数
-        const totalScore = wholeWordScore + (charScore * this.charWeight);
+        // 5. 同义词匹配分数（只按整词计分，已按整词命中的关键词不重复计分）
+        let synonymScore = 0;
+        const synonymTerms = [];
+
+        expansions.forEach(({ term, synonym }) => {
+            const tf = doc.keywordFreq.get(synonym) || 0;
+            if (tf === 0 || wholeMatchedKeywords.has(synonym)) return;
+            matchedKeywords.add(synonym);
+            wholeMatchedKeywords.add(synonym);
+
+            const idf = this._idf(this.termPostings, synonym);
+            const numerator = tf * (this.k1 + 1);
+            const denominator = tf + this.k1 * lengthNorm;
+            const contribution = idf * (numerator / denominator);
 
-        // 5. 计算关键词权重
+            synonymScore += contribution;
+
+            if (explanation) {
+                synonymTerms.push({ term, synonym, tf, idf, contribution });
+            }
+        });
+
+        // 6. 模糊匹配分数（纠正后的关键词按整词计分并乘以相似度，已按整词命中的关键词不重复计分）
+        let fuzzyScore = 0;
+        const fuzzyTerms = [];
+
+        corrections.forEach(({ term, correction, similarity }) => {
+            const tf = doc.keywordFreq.get(correction) || 0;
+            if (tf === 0 || wholeMatchedKeywords.has(correction)) return;
+            matchedKeywords.add(correction);
+            wholeMatchedKeywords.add(correction);
+
+            const idf = this._idf(this.termPostings, correction);
+            const numerator = tf * (this.k1 + 1);
+            const denominator = tf + this.k1 * lengthNorm;
+            const contribution = idf * (numerator / denominator) * similarity;
+
+            fuzzyScore += contribution;
+
+            if (explanation) {
+                fuzzyTerms.push({ term, correction, similarity, tf, idf, contribution });
+            }
+        });
+
+        // 7. 组合分数：整词分数 + 单字分数、拼音分数、同义词分数、模糊匹配分数各乘以权重系数
+        const totalScore = wholeWordScore + (charScore * this.charWeight) + (pinyinScore * this.pinyinWeight) +
+            (synonymScore * this.synonymWeight) + (fuzzyScore * this.fuzzyWeight);
+
+        // 8. 计算关键词权重
         const keywordWeight = this._calculateKeywordWeight(matchedKeywords, doc.keywordWeights);
 
-        // 6. 应用权重：最终得分 = 匹配分数 * 关键词权重 * 颜文字权重
-        return totalScore * keywordWeight * doc.weight;
+        // 9. 应用权重：最终得分 = 匹配分数 * 关键词权重 * 颜文字权重
+        const score = totalScore * keywordWeight * doc.weight;
+
+        if (explanation) {
+            Object.assign(explanation, {
+                kaomoji: doc.kaomoji,
+                score,
+                wholeWord: {
+                    score: wholeWordTerms.reduce((sum, t) => sum + t.contribution, 0),
+                    terms: wholeWordTerms
+                },
+                singleCharInMultiChar: {
+                    score: singleCharTerms.reduce((sum, t) => sum + t.contribution, 0),
+                    terms: singleCharTerms
+                },
+                char: {
+                    score: charScore,
+                    charWeight: this.charWeight,
+                    terms: charTerms
+                },
+                pinyin: {
+                    score: pinyinScore,
+                    pinyinWeight: this.pinyinWeight,
+                    terms: pinyinTerms
+                },
+                synonym: {
+                    score: synonymScore,
+                    synonymWeight: this.synonymWeight,
+                    terms: synonymTerms
+                },
+                fuzzy: {
+                    score: fuzzyScore,
+                    fuzzyWeight: this.fuzzyWeight,
+                    terms: fuzzyTerms
+                },
+                lengthNormalization: {
+                    k1: this.k1,
+                    b: this.b,
+                    docLength,
+                    avgDocLength: this.avgDocLength,
+                    wholeWord: lengthNorm,
+                    charDocLength,
+                    avgCharDocLength: this.avgCharDocLength,
+                    char: charLengthNorm
+                },
+                baseScore: totalScore,
+                matchedKeywords: this._displayKeywords(doc, matchedKeywords),
+                keywordWeights: [...matchedKeywords].map(kw => ({
+                    keyword: doc.termKeywords.get(kw) || kw,
+                    weight: doc.keywordWeights.get(kw) || 1.0
+                })),
+                keywordWeight,
+                docWeight: doc.weight
+            });
+        }
+
+        return score;
     }
 
     /**
-     * 搜索匹配的 kaomoji
-     * @param {string} text - 要搜索的文本
-     * @param {number} topK - 返回前 K 个结果
-     * @param {number} threshold - 最低分数阈值
-     * @returns {Array} 匹配结果数组
+     * 解释某个 kaomoji 针对查询的得分构成（用于调试排序与调整关键词权重）
+     * @param {string} query - 查询文本
+     * @param {string} kaomoji - 颜文字文本
+     * @returns {Object|null} 得分明细，未找到该颜文字时返回 null
+     *   - wholeWord: 整词匹配（每个查询词的 tf、idf、贡献）
+     *   - singleCharInMultiChar: 单字查询词在多字关键词中的匹配
+     *   - char: 拆字匹配（未乘 charWeight 前的分数及 charWeight）
+     *   - pinyin: 拼音匹配（未乘 pinyinWeight 前的分数及 pinyinWeight，仅开启拼音时有分数）
+     *   - synonym: 同义词匹配（未乘 synonymWeight 前的分数及 synonymWeight，仅设置同义词表时有分数）
+     *   - fuzzy: 模糊匹配（未乘 fuzzyWeight 前的分数及 fuzzyWeight，仅开启 fuzzy 时有分数）
+     *   - lengthNormalization: 长度归一化因子 1 - b + b × (文档长度 / 平均长度)
+     *   - keywordWeight: _calculateKeywordWeight 得出的关键词权重乘数
+     *   - docWeight: 颜文字权重乘数
+     *   - score = baseScore × keywordWeight × docWeight
      */
-    search(text, topK = 5, threshold = 0) {
-        if (!text || this.documents.length === 0) {
-            return [];
+    explain(query, kaomoji) {
+        const doc = this.documents.find(d => d.kaomoji === kaomoji);
+        if (!doc) {
+            return null;
         }
 
-        // 提取查询词（简单分词，可以根据需求优化）
-        const queryTerms = this._tokenize(text);
+        const { text } = this._normalizeQuery(query);
+        const { queryTerms, queryChars, singleCharQueries, expansions, corrections } = this._prepareQuery(text);
+        const explanation = { query: queryTerms };
+        this._calculateBM25(queryTerms, queryChars, singleCharQueries, doc, explanation, expansions, corrections);
+        return explanation;
+    }
 
-        if (queryTerms.length === 0) {
-            return [];
+    /**
+     * 将查询统一为 { text, must, mustNot }（文本均已归一化）
+     * @private
+     * @param {string|Object} query - 查询文本，或结构化查询 { must, should, mustNot }
+     * @returns {Object} text 为参与计分的文本（must + should），must / mustNot 为过滤条件
+     */
+    _normalizeQuery(query) {
+        if (!query || typeof query !== 'object') {
+            return { text: this.normalize(query || ''), must: [], mustNot: [] };
+        }
+
+        const toList = value => (Array.isArray(value) ? value : [value])
+            .filter(v => v !== undefined && v !== null)
+            .map(v => this.normalize(String(v)).trim())
+            .filter(v => v.length > 0);
+
+        const must = toList(query.must);
+        const should = toList(query.should);
+        const mustNot = toList(query.mustNot);
+
+        return {
+            text: [...must, ...should].join(' '),
+            must,
+            mustNot
+        };
+    }
+
+    /**
+     * 按分类过滤候选文档
+     * @private
+     * @param {Iterable} docs - 候选文档
+     * @param {Object} options - { categories, excludeCategories }，均可为字符串或数组
+     * @returns {Iterable} 过滤后的文档（无分类条件时原样返回）
+     */
+    _filterByCategory(docs, options = {}) {
+        const toSet = value => (value === undefined || value === null || value === '')
+            ? null
+            : new Set(Array.isArray(value) ? value : [value]);
+
+        const categories = toSet(options.categories);
+        const excludeCategories = toSet(options.excludeCategories);
+
+        if (!categories && !excludeCategories) {
+            return docs;
         }
 
+        return [...docs].filter(doc =>
+            (!categories || categories.has(doc.category)) &&
+            (!excludeCategories || !excludeCategories.has(doc.category))
+        );
+    }
+
+    /**
+     * 判断文档是否命中某个关键词（用于 must / mustNot 过滤）
+     * 命中条件：文档中有关键词与其相同、包含它，或被它包含（仅限多字关键词）
+     * @private
+     * @param {Object} doc - 索引文档
+     * @param {string} term - 关键词
+     * @returns {boolean}
+     */
+    _matchesTerm(doc, term) {
+        if (doc.lang) {
+            term = this._languageTokenizer(doc.lang).normalize(term);
+        }
+        return doc.terms.some(kw =>
+            kw === term || kw.includes(term) || (kw.length >= 2 && term.includes(kw))
+        );
+    }
+
+    /**
+     * 把关键词的索引形式转换为原始关键词（去重，保持顺序）
+     * @private
+     * @param {Object} doc - 索引文档
+     * @param {Iterable} terms - 索引形式
+     * @returns {Array} 原始关键词
+     */
+    _displayKeywords(doc, terms) {
+        return [...new Set([...terms].map(term => doc.termKeywords.get(term) || term))];
+    }
+
+    /**
+     * 对查询文本分词并预提取查询单字和单字查询词
+     * @private
+     * @param {string} text - 查询文本
+     * @returns {Object} { queryTerms, queryTermsSet, queryChars, singleCharQueries, expansions, corrections }
+     */
+    _prepareQuery(text) {
+        // 提取查询词（由分词器决定切分方式）
+        const queryTerms = this._tokenize(text);
+
         // 转换为 Set 以提高查找效率 (O(1) vs O(n))
         const queryTermsSet = new Set(queryTerms);
 
@@ -326,66 +1174,272 @@ class SearchEngine {
         // 提取单字查询词（避免在每个文档中重复计算）
         const singleCharQueries = queryTerms.filter(term => term.length === 1);
 
-        // 计算每个文档的分数
-        const results = this.documents.map(doc => ({
-            kaomoji: doc.kaomoji,
-            score: this._calculateBM25(queryTerms, queryChars, singleCharQueries, doc),
-            matchedKeywords: doc.keywords.filter(k => queryTermsSet.has(k)),
-            category: doc.category
-        }));
+        // 同义词扩展（只扩展整词，不拆字）
+        const expansions = this._expandQuery(queryTerms);
+
+        // 模糊纠正（仅开启 fuzzy 时）
+        const corrections = this.fuzzy ? this._correctQuery(text) : [];
+
+        return { queryTerms, queryTermsSet, queryChars, singleCharQueries, expansions, corrections };
+    }
+
+    /**
+     * 搜索匹配的 kaomoji
+     * @param {string|Object} text - 要搜索的文本，或结构化查询：
+     *   { must: 必须命中的关键词, should: 普通关键词, mustNot: 必须不命中的关键词 }
+     *   must 和 should 共同参与计分；每项可为字符串或字符串数组
+     * @param {number} topK - 返回前 K 个结果
+     * @param {number} threshold - 最低分数阈值
+     * @param {Object} options - 搜索选项
+     * @param {string} options.tieBreak - 同分排序方式（覆盖实例配置）
+     * @param {Function} options.random - 随机数来源（覆盖实例配置）
+     * @param {boolean} options.explain - 为每个结果附带 explanation 得分明细（同 explain）
+     * @param {string|Array} options.categories - 只返回这些分类中的颜文字
+     * @param {string|Array} options.excludeCategories - 排除这些分类中的颜文字
+     * @param {Array} options.contextTerms - 上下文词：只对已命中查询的结果加分，不会引入新结果
+     * @param {number} options.contextWeight - 上下文词得分的权重（默认 0.3）
+     * @returns {Array} 匹配结果数组（提供 contextTerms 时附带 contextTerms / contextScore；
+     *   查询被同义词扩展时附带 expansions: [{ term, synonym }]，即该结果实际命中的扩展；
+     *   查询词被模糊纠正时附带 corrections: [{ term, correction, similarity }]）
+     */
+    search(text, topK = 5, threshold = 0, options = {}) {
+        const query = this._normalizeQuery(text);
+
+        if (!query.text || this.documents.length === 0) {
+            return [];
+        }
+
+        const { queryTerms, queryTermsSet, queryChars, singleCharQueries, expansions, corrections } = this._prepareQuery(query.text);
+
+        if (queryTerms.length === 0) {
+            return [];
+        }
+
+        // 只对与查询共享整词或单字的候选文档计分（其余文档得分必为 0）
+        // 阈值为负时 0 分文档也会入选，此时退回到全量计分
+        let candidates = threshold < 0
+            ? this.documents
+            : this._collectCandidates([
+                ...queryTerms,
+                ...expansions.map(e => e.synonym),
+                ...corrections.map(c => c.correction)
+            ], queryChars);
+
+        // 应用 must / mustNot 过滤
+        if (query.must.length > 0 || query.mustNot.length > 0) {
+            candidates = [...candidates].filter(doc =>
+                query.must.every(term => this._matchesTerm(doc, term)) &&
+                !query.mustNot.some(term => this._matchesTerm(doc, term))
+            );
+        }
+
+        // 应用分类过滤
+        candidates = this._filterByCategory(candidates, options);
+
+        // 拼音查询词命中的关键词也算作匹配到的关键词
+        const pinyinQueries = this._pinyinQueries(queryTerms);
+
+        // 上下文词只按整词计分，避免上下文中的单字带来噪声
+        const contextTerms = (options.contextTerms || []).filter(term => !queryTermsSet.has(term));
+        const contextWeight = options.contextWeight !== undefined ? options.contextWeight : 0.3;
+
+        // 计算每个候选文档的分数
+        const results = [...candidates].map(doc => {
+            const explanation = options.explain ? { query: queryTerms } : null;
+            const item = {
+                kaomoji: doc.kaomoji,
+                score: this._calculateBM25(queryTerms, queryChars, singleCharQueries, doc, explanation, expansions, corrections),
+                matchedKeywords: doc.terms.filter(k => queryTermsSet.has(k)),
+                category: doc.category
+            };
+
+            pinyinQueries.forEach(term => {
+                (doc.pinyinKeywords.get(term) || []).forEach(kw => {
+                    if (!item.matchedKeywords.includes(kw)) item.matchedKeywords.push(kw);
+                });
+            });
+
+            // 同义词命中的关键词也算作匹配到的关键词，并记录实际生效的扩展
+            if (expansions.length > 0) {
+                item.expansions = expansions.filter(e =>
+                    doc.keywordFreq.has(e.synonym) && !item.matchedKeywords.includes(e.synonym)
+                );
+                item.expansions.forEach(e => item.matchedKeywords.push(e.synonym));
+            }
+
+            // 模糊纠正命中的关键词同理
+            if (corrections.length > 0) {
+                item.corrections = corrections.filter(c =>
+                    doc.keywordFreq.has(c.correction) && !item.matchedKeywords.includes(c.correction)
+                );
+                item.corrections.forEach(c => item.matchedKeywords.push(c.correction));
+            }
+
+            // 匹配到的关键词以原始形式返回
+            item.matchedKeywords = this._displayKeywords(doc, item.matchedKeywords);
+
+            if (explanation) {
+                item.explanation = explanation;
+            }
+
+            if (options.contextTerms) {
+                item.contextTerms = contextTerms.filter(term => doc.keywordFreq.has(term));
+                item.contextScore = item.contextTerms.length > 0
+                    ? this._calculateBM25(item.contextTerms, [], [], doc) * contextWeight
+                    : 0;
+            }
+
+            return { doc, item };
+        });
 
         // 过滤、排序并返回 top K
         // 注意：现在即使没有整词匹配，单字匹配也可能有分数，所以只检查 score > threshold
+        // 阈值只针对查询本身的得分，上下文只影响排序
+        const filtered = results.filter(r => r.item.score > threshold);
+        filtered.forEach(r => {
+            if (r.item.contextScore) {
+                r.item.score += r.item.contextScore;
+            }
+        });
+        return this._rankResults(filtered, options).slice(0, topK);
+    }
+
+    /**
+     * 按分数降序排序，同分时按 tieBreak 规则排序
+     * @private
+     * @param {Array} results - { doc, item } 数组
+     * @param {Object} options - { tieBreak, random }
+     * @returns {Array} 排序后的结果（item）数组
+     */
+    _rankResults(results, options = {}) {
+        const tieBreak = this._validateTieBreak(options.tieBreak || this.tieBreak);
+        const random = options.random || this.random;
+
+        let compareTie;
+        switch (tieBreak) {
+            case 'stable':
+                compareTie = (a, b) => a.doc.id - b.doc.id;
+                break;
+
+            case 'weight':
+                compareTie = (a, b) => (b.doc.weight - a.doc.weight) || (a.doc.id - b.doc.id);
+                break;
+
+            default: {
+                // 先按文档顺序固定输入，保证相同种子得到相同结果
+                results.sort((a, b) => a.doc.id - b.doc.id);
+                results.forEach(r => { r.random = random(); });
+                compareTie = (a, b) => a.random - b.random;
+            }
+        }
+
         return results
-            .filter(r => r.score > threshold)
-            .map(item => ({ item, random: Math.random() }))
-            .sort((a, b) => (b.item.score - a.item.score) || (a.random - b.random))
-            .map(({ item }) => item)
-            .slice(0, topK);
+            .sort((a, b) => (b.item.score - a.item.score) || compareTie(a, b))
+            .map(({ item }) => item);
+    }
+
+    /**
+     * 校验同分排序方式
+     * @private
+     * @param {string} tieBreak - 同分排序方式
+     * @returns {string} 合法的同分排序方式
+     */
+    _validateTieBreak(tieBreak) {
+        if (!TIE_BREAKS.includes(tieBreak)) {
+            throw new Error(`Unknown tieBreak mode: ${tieBreak}`);
+        }
+        return tieBreak;
+    }
+
+    /**
+     * 通过倒排索引收集候选文档
+     * @private
+     * @param {Array} queryTerms - 查询词列表
+     * @param {Array} queryChars - 查询单字列表
+     * @returns {Set} 候选文档集合
+     */
+    _collectCandidates(queryTerms, queryChars) {
+        const candidates = new Set();
+
+        const collect = (postings, key) => {
+            const docs = postings.get(key);
+            if (docs) {
+                docs.forEach(doc => candidates.add(doc));
+            }
+        };
+
+        queryTerms.forEach(term => collect(this.termPostings, term));
+        queryChars.forEach(char => collect(this.charPostings, char));
+        this._pinyinQueries(queryTerms).forEach(term => collect(this.pinyinPostings, term));
+
+        return candidates;
     }
 
     /**
-     * 简单分词函数
+     * 分词（委托给当前分词器，索引中有带语言的文档时合并对应语言分词器的结果）
      * @param {string} text - 输入文本
      * @returns {Array} 词列表
      */
     _tokenize(text) {
-        // 移除空格和标点
-        const cleaned = text.replace(/[^\u4e00-\u9fa5a-zA-Z0-9]/g, ' ');
-
-        // 简单按空格分词（对于中文需要更复杂的分词，但这里保持简单）
-        // 也包含所有可能的子串（对于短文本）
-        const words = cleaned.split(/\s+/).filter(w => w.length > 0);
-
-        // 对于中文，额外提取所有连续字符组合
-        const chineseChars = text.match(/[\u4e00-\u9fa5]+/g) || [];
-        chineseChars.forEach(chunk => {
-            // 提取所有可能的词组合（2-4字）
-            for (let len = 2; len <= Math.min(4, chunk.length); len++) {
-                for (let i = 0; i <= chunk.length - len; i++) {
-                    words.push(chunk.slice(i, i + len));
-                }
-            }
-            // 也加入单字
-            for (let char of chunk) {
-                words.push(char);
+        // 复制一份：自定义分词器可能返回自己缓存的数组
+        const words = [...this.tokenizer.tokenize(text)];
+        if (this.languageDocCounts.size === 0) {
+            return words;
+        }
+
+        this.languageDocCounts.forEach((count, lang) => {
+            words.push(...this._languageTokenizer(lang).tokenize(text));
+        });
+        return [...new Set(words)];
+    }
+
+    /**
+     * 找出文本中包含的词表关键词
+     * @param {string} text - 输入文本
+     * @param {number} minLength - 关键词最小长度（默认 2）
+     * @returns {Array} 关键词列表（按在文本中首次出现的位置排序）
+     */
+    findTerms(text, minLength = 2) {
+        const positions = new Map();
+        const variants = this._textVariants(this.normalize(text));
+
+        this.termPostings.forEach((docs, term) => {
+            if (term.length < minLength) return;
+
+            const indexes = variants.map(v => v.indexOf(term)).filter(i => i !== -1);
+            if (indexes.length > 0) {
+                positions.set(term, Math.min(...indexes));
             }
         });
 
-        return [...new Set(words)]; // 去重
+        return [...positions.keys()].sort((a, b) => positions.get(a) - positions.get(b));
     }
 
     /**
      * 精确匹配关键词
      * @param {string} text - 输入文本
+     * @param {Object} options - 选项 { tieBreak, random, categories, excludeCategories }（同 search）
+     * @param {number} options.minLength - 关键词最小长度（默认 1），更短的关键词既不命中也不计分
      * @returns {Array} 精确匹配的结果
      */
-    exactMatch(text) {
+    exactMatch(text, options = {}) {
+        const { minLength = 1 } = options;
         const results = [];
+        const variants = this._textVariants(this.normalize(text));
+
+        // 先在词表中找出文本包含的关键词，再通过倒排索引取得候选文档
+        const matchedTerms = new Set();
+        const candidates = new Set();
+        this.termPostings.forEach((docs, term) => {
+            if (term.length >= minLength && variants.some(v => v.includes(term))) {
+                matchedTerms.add(term);
+                docs.forEach(doc => candidates.add(doc));
+            }
+        });
 
-        this.documents.forEach(doc => {
-            const matchedKeywords = doc.keywords.filter(keyword =>
-                text.includes(keyword)
+        this._filterByCategory(candidates, options).forEach(doc => {
+            const matchedKeywords = doc.terms.filter(term =>
+                matchedTerms.has(term)
             );
 
             if (matchedKeywords.length > 0) {
@@ -397,18 +1451,18 @@ class SearchEngine {
                 const score = matchedKeywords.length * keywordWeight * doc.weight;
 
                 results.push({
-                    kaomoji: doc.kaomoji,
-                    matchedKeywords: matchedKeywords,
-                    score: score,
-                    category: doc.category
+                    doc,
+                    item: {
+                        kaomoji: doc.kaomoji,
+                        matchedKeywords: this._displayKeywords(doc, matchedKeywords),
+                        score: score,
+                        category: doc.category
+                    }
                 });
             }
         });
 
-        return results
-            .map(item => ({ item, random: Math.random() }))
-            .sort((a, b) => (b.item.score - a.item.score) || (a.random - b.random))
-            .map(({ item }) => item);
+        return this._rankResults(results, options);
     }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * SeededRandom.js
+ * 可复现的伪随机数生成器
+ * 用于替代 Math.random()，使同分结果的随机排序可以通过种子复现
+ */
+
+/**
+ * 字符串哈希（FNV-1a，32 位）
+ * 也用于判断缓存的索引快照是否与数据一致
+ * @param {string} str - 字符串
+ * @returns {number} 32 位无符号整数
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 将种子转换为 32 位无符号整数
+ * @private
+ * @param {number|string} seed - 数字或字符串种子
+ * @returns {number} 32 位整数种子
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    // 字符串种子：FNV-1a 哈希
+    return hashString(String(seed));
+}
+
+/**
+ * 创建带种子的随机数生成器（mulberry32 算法）
+ * @param {number|string} seed - 种子，相同种子产生相同序列
+ * @returns {Function} 返回 [0, 1) 区间随机数的函数，可直接替代 Math.random
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ES Modules 导出
+export { createSeededRandom, hashString };
@@ -0,0 +1,137 @@
+/**
+ * SkipRegions.js
+ * 跳过区域 - 找出文本中不应替换标记的区域（代码块、HTML 注释、URL 等）
+ *
+ * 区域规格可以是：
+ * - 内置预设名称（见 SKIP_REGIONS）
+ * - 正则表达式：每个匹配都是一个跳过区域
+ * - 函数 text => [[start, end], ...]
+ */
+
+// 内置预设名称
+const SKIP_REGIONS = {
+    MARKDOWN_CODE: 'markdown-code',   // 围栏代码块与行内代码
+    HTML_COMMENTS: 'html-comments',   // <!-- ... -->
+    URLS: 'urls'                      // http(s) / ftp 链接
+};
+
+/**
+ * 收集正则表达式的所有匹配区间
+ * @param {string} text - 文本
+ * @param {RegExp} pattern - 正则表达式
+ * @param {number} base - 区间偏移量
+ * @returns {Array} [[start, end], ...]
+ */
+function matchRanges(text, pattern, base = 0) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+    const regex = new RegExp(pattern.source, flags);
+    const ranges = [];
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+        }
+        ranges.push([base + match.index, base + match.index + match[0].length]);
+    }
+
+    return ranges;
+}
+
+/**
+ * Markdown 代码：先找围栏代码块（未闭合时延续到文末），再在其余部分找行内代码
+ * @param {string} text - 文本
+ * @returns {Array} [[start, end], ...]
+ */
+function markdownCodeRanges(text) {
+    const fenced = matchRanges(text, /^[ \t]{0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^[ \t]{0,3}\1[ \t]*$|(?![\s\S]))/gm);
+    const ranges = [...fenced];
+
+    // 行内代码只在围栏代码块之间查找，避免块内的反引号与块外配对
+    let gapStart = 0;
+    [...fenced, [text.length, text.length]].forEach(([start, end]) => {
+        const gap = text.slice(gapStart, start);
+        // 行内代码不跨越空行（CommonMark：空行结束段落）
+        ranges.push(...matchRanges(gap, /(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?[^`]\1(?!`)/g, gapStart));
+        gapStart = end;
+    });
+
+    return ranges;
+}
+
+/**
+ * 链接：只含 ASCII 字符，遇到中文、全角标点等非 ASCII 字符即结束
+ * 方括号不属于链接（Markdown 链接 [文字](url) 与标记都以它开头）；
+ * 末尾的句读标点与未配对的右括号视为正文，不计入链接
+ * @param {string} text - 文本
+ * @returns {Array} [[start, end], ...]
+ */
+function urlRanges(text) {
+    return matchRanges(text, /\b(?:https?|ftp):\/\/[^\s<>"'`[\]\u0080-\uffff]+/gi).map(([start, end]) => {
+        const url = text.slice(start, end);
+        let length = url.length;
+
+        while (length > 0) {
+            const last = url[length - 1];
+            if ('.,:;!?*_~'.includes(last)) {
+                length--;
+            } else if (last === ')') {
+                const head = url.slice(0, length);
+                const opens = head.split('(').length - 1;
+                const closes = head.split(')').length - 1;
+                if (closes <= opens) break;
+                length--;
+            } else {
+                break;
+            }
+        }
+
+        return [start, start + length];
+    });
+}
+
+// 预设名称 → 区间查找函数
+const PRESETS = {
+    [SKIP_REGIONS.MARKDOWN_CODE]: markdownCodeRanges,
+    [SKIP_REGIONS.HTML_COMMENTS]: text => matchRanges(text, /<!--[\s\S]*?(?:-->|$)/g),
+    [SKIP_REGIONS.URLS]: urlRanges
+};
+
+/**
+ * 找出文本中的所有跳过区域
+ * @param {string} text - 文本
+ * @param {Array} specs - 区域规格列表（预设名称 / RegExp / 函数）
+ * @returns {Array} 按起点排序的区域 [{ start, end, region }]，region 为预设名称或 'custom'
+ */
+function findSkipRegions(text, specs = []) {
+    const regions = [];
+
+    specs.forEach(spec => {
+        let ranges;
+        let name = 'custom';
+
+        if (typeof spec === 'string') {
+            if (!PRESETS[spec]) {
+                throw new Error(`Unknown skip region preset: ${spec}`);
+            }
+            ranges = PRESETS[spec](text);
+            name = spec;
+        } else if (spec instanceof RegExp) {
+            ranges = matchRanges(text, spec);
+        } else if (typeof spec === 'function') {
+            ranges = spec(text) || [];
+        } else {
+            throw new Error('Skip region must be a preset name, RegExp or function');
+        }
+
+        ranges.forEach(([start, end]) => {
+            regions.push({ start, end, region: name });
+        });
+    });
+
+    return regions.sort((a, b) => a.start - b.start);
+}
+
+// ES Modules 导出
+export { SKIP_REGIONS, findSkipRegions };
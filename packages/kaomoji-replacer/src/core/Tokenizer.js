@@ -0,0 +1,355 @@
+/**
+ * Tokenizer.js
+ * 可插拔分词器 - 供 SearchEngine 将查询文本切分为查询词
+ *
+ * 分词器是任何实现了 tokenize(text) 方法的对象，返回去重后的词列表。
+ * 若分词器还实现了 setVocabulary(words)，SearchEngine 会在索引变化后
+ * 把当前关键词词表传给它，用作分词词典。
+ *
+ * 语言分词器（JapaneseTokenizer / EnglishTokenizer）另外实现 normalize(text)，
+ * 用于把带 lang 字段的颜文字关键词转换为索引形式（假名统一、词干化）。
+ */
+
+/**
+ * N-gram 分词器（默认）
+ * 按空格切分，并额外提取中文片段中所有 2-4 字子串及单字
+ */
+class NgramTokenizer {
+    /**
+     * 分词
+     * @param {string} text - 输入文本
+     * @returns {Array} 词列表
+     */
+    tokenize(text) {
+        // 移除空格和标点
+        const cleaned = text.replace(/[^\u4e00-\u9fa5a-zA-Z0-9]/g, ' ');
+
+        // 简单按空格分词（对于中文需要更复杂的分词，但这里保持简单）
+        // 也包含所有可能的子串（对于短文本）
+        const words = cleaned.split(/\s+/).filter(w => w.length > 0);
+
+        // 对于中文，额外提取所有连续字符组合
+        const chineseChars = text.match(/[\u4e00-\u9fa5]+/g) || [];
+        chineseChars.forEach(chunk => {
+            // 提取所有可能的词组合（2-4字）
+            for (let len = 2; len <= Math.min(4, chunk.length); len++) {
+                for (let i = 0; i <= chunk.length - len; i++) {
+                    words.push(chunk.slice(i, i + len));
+                }
+            }
+            // 也加入单字
+            for (let char of chunk) {
+                words.push(char);
+            }
+        });
+
+        return [...new Set(words)]; // 去重
+    }
+}
+
+/**
+ * 正向最大匹配分词器
+ * 以关键词词表为词典，对汉字片段做正向最大匹配，词典外的汉字按单字输出；
+ * 其他文字（字母、数字、假名等）按连续片段整体输出
+ */
+class MaxMatchTokenizer {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {Iterable<string>} options.dictionary - 初始词典（可选，通常由 SearchEngine 注入）
+     * @param {number} options.maxWordLength - 最大词长上限（默认 8）
+     */
+    constructor(options = {}) {
+        this.maxWordLength = options.maxWordLength || 8;
+        this.dictionary = new Set();
+        this.longestWord = 1;             // 词典中最长词的长度（受 maxWordLength 限制）
+
+        if (options.dictionary) {
+            this.setVocabulary(options.dictionary);
+        }
+    }
+
+    /**
+     * 设置词典
+     * @param {Iterable<string>} words - 词列表
+     */
+    setVocabulary(words) {
+        this.dictionary = new Set();
+        this.longestWord = 1;
+
+        for (const word of words) {
+            const length = Array.from(word).length;
+            if (length < 2) continue;   // 单字无需进入词典，未匹配时本就按单字输出
+
+            this.dictionary.add(word);
+            this.longestWord = Math.max(this.longestWord, Math.min(length, this.maxWordLength));
+        }
+    }
+
+    /**
+     * 分词
+     * @param {string} text - 输入文本
+     * @returns {Array} 词列表
+     */
+    tokenize(text) {
+        const words = [];
+
+        // 按字母/数字的连续片段切分（覆盖所有 Unicode 文字，不限于基本汉字区）
+        const runs = text.match(/[\p{L}\p{N}]+/gu) || [];
+
+        runs.forEach(run => {
+            // 再把片段拆为汉字段与非汉字段
+            const segments = run.match(/\p{Script=Han}+|[^\p{Script=Han}]+/gu) || [];
+
+            segments.forEach(segment => {
+                if (/^\p{Script=Han}/u.test(segment)) {
+                    words.push(...this._segmentHan(segment));
+                } else {
+                    words.push(segment);
+                }
+            });
+        });
+
+        return [...new Set(words)]; // 去重
+    }
+
+    /**
+     * 对汉字片段做正向最大匹配
+     * @private
+     * @param {string} segment - 汉字片段
+     * @returns {Array} 词列表
+     */
+    _segmentHan(segment) {
+        const chars = Array.from(segment);
+        const words = [];
+        let i = 0;
+
+        while (i < chars.length) {
+            let matched = null;
+
+            for (let len = Math.min(this.longestWord, chars.length - i); len >= 2; len--) {
+                const candidate = chars.slice(i, i + len).join('');
+                if (this.dictionary.has(candidate)) {
+                    matched = candidate;
+                    break;
+                }
+            }
+
+            if (matched) {
+                words.push(matched);
+                i += Array.from(matched).length;
+            } else {
+                words.push(chars[i]);
+                i++;
+            }
+        }
+
+        return words;
+    }
+}
+
+/**
+ * 片假名转平假名（半角片假名先转为全角）
+ * @param {string} text - 文本
+ * @returns {string} 转换后的文本
+ */
+function foldKana(text) {
+    return text
+        .replace(/[\uff66-\uff9f]+/g, run => run.normalize('NFKC'))
+        .replace(/[\u30a1-\u30f6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+// 英文后缀规则：[后缀, 替换, 去掉后缀后词干的最小长度, 额外的匹配条件]，按顺序取第一条适用的规则
+const ENGLISH_SUFFIXES = [
+    ['iness', 'y', 2],   // happiness → happy
+    ['ness', '', 3],     // sadness → sad
+    ['ily', 'y', 2],     // happily → happy
+    ['ies', 'y', 2],     // cries → cry
+    ['ied', 'y', 2],     // cried → cry
+    ['ing', '', 3],      // smiling → smil
+    ['ed', '', 3],       // smiled → smil
+    ['ly', '', 3],       // sadly → sad
+    ['es', '', 3, /(s|x|z|ch|sh)es$/],   // kisses → kiss
+    ['s', '', 3, /[^su]s$/]              // smiles → smile（不处理 kiss、bus）
+];
+
+/**
+ * 英文轻量词干化（只处理常见的屈折与派生后缀，不追求语言学上的准确）
+ * 同一个词的不同形式会得到相同词干：smile / smiles / smiled / smiling → smil
+ * @param {string} word - 单词（小写）
+ * @returns {string} 词干
+ */
+function stemEnglish(word) {
+    if (word.length <= 3) return word;
+
+    let stem = word;
+    for (const [suffix, replacement, minLength, pattern] of ENGLISH_SUFFIXES) {
+        if (!stem.endsWith(suffix) || (pattern && !pattern.test(stem))) continue;
+        if (stem.length - suffix.length < minLength) continue;
+
+        stem = stem.slice(0, -suffix.length) + replacement;
+        break;
+    }
+
+    // 去掉词尾的 e（smile → smil），去掉重复的词尾辅音（running → runn → run）
+    if (stem.length > 3 && stem.endsWith('e')) {
+        stem = stem.slice(0, -1);
+    } else if (stem.length > 3 && /([^aeiouylsz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    return stem;
+}
+
+/**
+ * 日文分词器
+ * 片假名统一为平假名后，对汉字/假名的连续片段提取 2 至 maxWordLength 字的子串；
+ * 单字只保留汉字（单个假名多为助词，作为查询词只会带来噪声）
+ */
+class JapaneseTokenizer {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {number} options.maxWordLength - 最大子串长度（默认 6）
+     */
+    constructor(options = {}) {
+        this.maxWordLength = options.maxWordLength || 6;
+    }
+
+    /**
+     * 转换为索引形式（片假名 → 平假名）
+     * @param {string} text - 文本
+     * @returns {string} 转换后的文本
+     */
+    normalize(text) {
+        return foldKana(text);
+    }
+
+    /**
+     * 分词
+     * @param {string} text - 输入文本
+     * @returns {Array} 词列表
+     */
+    tokenize(text) {
+        const words = [];
+        const runs = this.normalize(text).match(/[\p{L}\p{N}ー]+/gu) || [];
+
+        runs.forEach(run => {
+            // 再把片段拆为日文段（汉字、平假名、长音符）与其他文字段
+            const segments = run.match(/[\p{Script=Han}\p{Script=Hiragana}ー]+|[^\p{Script=Han}\p{Script=Hiragana}ー]+/gu) || [];
+
+            segments.forEach(segment => {
+                if (!/^[\p{Script=Han}\p{Script=Hiragana}ー]/u.test(segment)) {
+                    words.push(segment);
+                    return;
+                }
+
+                const chars = Array.from(segment);
+                for (let len = 2; len <= Math.min(this.maxWordLength, chars.length); len++) {
+                    for (let i = 0; i <= chars.length - len; i++) {
+                        words.push(chars.slice(i, i + len).join(''));
+                    }
+                }
+                chars.filter(char => /\p{Script=Han}/u.test(char)).forEach(char => words.push(char));
+            });
+        });
+
+        return [...new Set(words)]; // 去重
+    }
+}
+
+/**
+ * 英文分词器
+ * 转为小写后按单词切分，并对每个单词做轻量词干化（见 stemEnglish）
+ */
+class EnglishTokenizer {
+    /**
+     * 转换为索引形式（小写并词干化，保留单词之间的其他字符）
+     * @param {string} text - 文本
+     * @returns {string} 转换后的文本
+     */
+    normalize(text) {
+        return text.toLowerCase().replace(/[a-z0-9]+/g, stemEnglish);
+    }
+
+    /**
+     * 分词
+     * @param {string} text - 输入文本
+     * @returns {Array} 词列表
+     */
+    tokenize(text) {
+        const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+        return [...new Set(words.map(stemEnglish))]; // 去重
+    }
+}
+
+// 内置分词器名称
+const TOKENIZERS = {
+    NGRAM: 'ngram',          // N-gram 子串（默认）
+    MAX_MATCH: 'max-match'   // 基于关键词词表的正向最大匹配
+};
+
+// 数据项 lang 字段支持的语言（zh 与未设置 lang 相同，使用 SearchEngine 的分词器）
+const LANGUAGES = {
+    ZH: 'zh',
+    JA: 'ja',
+    EN: 'en'
+};
+
+/**
+ * 根据配置创建分词器
+ * @param {string|Object|null} tokenizer - 内置分词器名称或实现了 tokenize(text) 的对象，省略或 null 时使用 n-gram 分词器
+ * @returns {Object} 分词器实例
+ */
+function createTokenizer(tokenizer = TOKENIZERS.NGRAM) {
+    if (tokenizer === null) {
+        return new NgramTokenizer();
+    }
+
+    if (typeof tokenizer === 'object') {
+        if (typeof tokenizer.tokenize !== 'function') {
+            throw new Error('Tokenizer must implement tokenize(text)');
+        }
+        return tokenizer;
+    }
+
+    switch (tokenizer) {
+        case TOKENIZERS.NGRAM:
+            return new NgramTokenizer();
+
+        case TOKENIZERS.MAX_MATCH:
+            return new MaxMatchTokenizer();
+
+        default:
+            throw new Error(`Unknown tokenizer: ${tokenizer}`);
+    }
+}
+
+/**
+ * 创建语言分词器
+ * @param {string} lang - 语言代码（'ja' | 'en'）
+ * @returns {Object} 实现了 tokenize(text) 与 normalize(text) 的分词器实例
+ */
+function createLanguageTokenizer(lang) {
+    switch (lang) {
+        case LANGUAGES.JA:
+            return new JapaneseTokenizer();
+
+        case LANGUAGES.EN:
+            return new EnglishTokenizer();
+
+        default:
+            throw new Error(`Unknown language: ${lang}`);
+    }
+}
+
+// ES Modules 导出
+export {
+    NgramTokenizer,
+    MaxMatchTokenizer,
+    JapaneseTokenizer,
+    EnglishTokenizer,
+    TOKENIZERS,
+    LANGUAGES,
+    createTokenizer,
+    createLanguageTokenizer,
+    stemEnglish
+};
@@ -0,0 +1,244 @@
+/**
+ * emojiKeywords.js
+ * 内置 emoji → 关键词映射表，供 KaomojiReplacer.convertEmoji 使用
+ *
+ * 键为去掉变体选择符（U+FE0F）与肤色修饰符后的 emoji；
+ * ZWJ 组合序列（如 🐈‍⬛）没有单独的条目时，按其组成部分的关键词查找。
+ * 关键词尽量使用颜文字数据中常见的词，以便 SearchEngine 能够命中。
+ */
+
+const EMOJI_KEYWORDS = {
+    // 笑脸
+    '😀': ['开心', '微笑'],
+    '😃': ['开心', '兴奋'],
+    '😄': ['开心', '大笑'],
+    '😁': ['开心', '得意'],
+    '😆': ['大笑', '开心'],
+    '😅': ['尴尬', '流汗'],
+    '🤣': ['开怀大笑', '大笑'],
+    '😂': ['喜极而泣', '大笑'],
+    '🙂': ['微笑'],
+    '🙃': ['调皮', '无奈'],
+    '😉': ['眨眼', '俏皮'],
+    '😊': ['害羞', '微笑'],
+    '😇': ['温柔', '微笑'],
+    '🥲': ['感动', '开心到哭'],
+    '😋': ['美味', '好吃'],
+    '😛': ['调皮', '俏皮'],
+    '😜': ['调皮', '眨眼'],
+    '🤪': ['调皮', '玩闹'],
+    '😝': ['调皮', '俏皮'],
+    '🤑': ['得意'],
+    '🤗': ['拥抱', '抱抱'],
+    '🤭': ['偷笑'],
+    '😏': ['坏笑', '得意'],
+    '😌': ['满足', '平静'],
+    '🥳': ['庆祝', '派对'],
+    '😎': ['酷', '墨镜'],
+    '🤓': ['学习', '认真'],
+    '🧐': ['观察', '好奇'],
+    '🤠': ['酷', '得意'],
+
+    // 爱
+    '🥰': ['爱', '幸福'],
+    '😍': ['爱心眼', '喜欢'],
+    '🤩': ['星星眼', '兴奋'],
+    '😘': ['飞吻', '亲吻'],
+    '😗': ['亲吻'],
+    '😚': ['亲吻', '害羞'],
+    '😙': ['亲吻', '微笑'],
+    '💋': ['亲吻'],
+    '💌': ['爱心', '恋爱'],
+    '💘': ['丘比特之箭', '恋爱'],
+    '💕': ['爱心', '恋爱'],
+    '💖': ['爱心', '闪亮'],
+    '💗': ['爱心', '心动'],
+    '💓': ['心动'],
+    '💞': ['爱心', '恋爱'],
+    '❤': ['爱心', '爱'],
+    '🧡': ['爱心'],
+    '💛': ['爱心'],
+    '💚': ['爱心'],
+    '💙': ['爱心'],
+    '💜': ['爱心'],
+    '🖤': ['爱心'],
+    '🤍': ['爱心'],
+    '💔': ['伤心', '难过'],
+    '❤‍🔥': ['心动', '迷恋'],
+    '❤‍🩹': ['治愈', '安慰'],
+
+    // 中性 / 疑惑
+    '🤔': ['思考', '疑问'],
+    '🤨': ['怀疑', '质疑'],
+    '🤐': ['无语'],
+    '😐': ['无语', '平静'],
+    '😑': ['无语', '冷淡'],
+    '😶': ['无语', '呆'],
+    '😶‍🌫': ['迷糊', '呆滞'],
+    '😒': ['不屑', '不爽'],
+    '🙄': ['翻白眼', '无语'],
+    '😬': ['尴尬', '紧张'],
+    '😮‍💨': ['无奈', '放松'],
+    '😕': ['困惑'],
+    '🙁': ['不开心'],
+    '☹': ['不开心', '难过'],
+
+    // 惊讶 / 害怕
+    '😮': ['惊讶', '张嘴'],
+    '😯': ['惊讶'],
+    '😲': ['震惊', '吃惊'],
+    '😳': ['脸红', '害羞'],
+    '🤯': ['震惊'],
+    '😦': ['惊讶'],
+    '😧': ['惊恐'],
+    '😨': ['害怕', '恐惧'],
+    '😰': ['冷汗', '紧张'],
+    '😱': ['惊恐', '恐惧'],
+    '🙀': ['猫', '惊恐'],
+
+    // 难过
+    '🥺': ['委屈', '拜托'],
+    '😥': ['失落', '流汗'],
+    '😢': ['难过', '哭'],
+    '😭': ['大哭', '哭泣'],
+    '😖': ['痛苦', '难受'],
+    '😣': ['痛苦', '咬牙'],
+    '😞': ['失落', '沮丧'],
+    '😔': ['失落', '沮丧'],
+    '😓': ['冷汗', '无奈'],
+    '😟': ['紧张', '担心'],
+
+    // 生气
+    '😤': ['不服', '生气'],
+    '😡': ['愤怒', '生气'],
+    '😠': ['生气', '不满'],
+    '🤬': ['暴怒', '骂人'],
+    '😈': ['坏笑', '恶魔'],
+    '👿': ['恶魔', '生气'],
+    '💢': ['生气', '愤怒'],
+
+    // 疲惫 / 不适
+    '😩': ['疲惫', '无力'],
+    '😫': ['疲惫', '累'],
+    '🥱': ['困', '休息'],
+    '😪': ['困', '睡觉'],
+    '😴': ['睡觉', '困'],
+    '💤': ['睡觉', '打鼾'],
+    '🤤': ['流口水'],
+    '😷': ['不适'],
+    '🤒': ['不适'],
+    '🤕': ['受伤', '疼痛'],
+    '🤢': ['不适', '嫌弃'],
+    '🤮': ['不适', '嫌弃'],
+    '🥵': ['烫', '流汗'],
+    '🥶': ['颤抖'],
+    '🥴': ['晕', '迷糊'],
+    '😵': ['晕', '眩晕'],
+    '😵‍💫': ['眩晕', '晕'],
+    '💫': ['晕', '眩晕'],
+    '💦': ['流汗'],
+    '💀': ['死亡'],
+    '☠': ['死亡'],
+    '👻': ['幽灵'],
+
+    // 手势 / 动作
+    '👋': ['挥手', '打招呼'],
+    '✋': ['举手'],
+    '🙋': ['举手'],
+    '👌': ['同意', '满意'],
+    '✌': ['胜利'],
+    '🤞': ['期待'],
+    '👍': ['点赞', '赞同'],
+    '👎': ['反对', '不满'],
+    '✊': ['加油'],
+    '💪': ['加油', '自信'],
+    '👊': ['出拳', '攻击'],
+    '👏': ['欢呼', '支持'],
+    '🙌': ['欢呼', '庆祝'],
+    '🙏': ['祈祷', '拜托'],
+    '🤝': ['友好', '同意'],
+    '🖕': ['竖中指'],
+    '👀': ['偷看', '注视'],
+    '🙈': ['捂脸', '不敢看'],
+    '🤦': ['捂脸', '无奈'],
+    '🤷': ['耸肩', '无所谓'],
+    '🙇': ['鞠躬', '道歉'],
+    '🙅': ['反对'],
+    '🙆': ['同意'],
+    '🏃': ['跑', '奔跑'],
+    '💃': ['跳舞', '舞蹈'],
+    '🕺': ['跳舞', '舞蹈'],
+    '💑': ['情侣', '恋爱'],
+    '💏': ['亲吻', '情侣'],
+
+    // 动物
+    '🐱': ['猫', '猫咪'],
+    '🐈': ['猫', '猫咪'],
+    '😺': ['猫', '开心'],
+    '😸': ['猫', '笑'],
+    '😹': ['猫', '大笑'],
+    '😻': ['猫', '爱心眼'],
+    '😼': ['猫', '坏笑'],
+    '😽': ['猫', '亲吻'],
+    '😿': ['猫', '哭'],
+    '😾': ['猫', '生气'],
+    '🐶': ['狗', '小狗'],
+    '🐕': ['狗', '小狗'],
+    '🐰': ['兔子', '小兔'],
+    '🐇': ['兔子', '小兔'],
+    '🐻': ['熊', '小熊'],
+    '🐷': ['猪', '小猪'],
+    '🐖': ['猪', '小猪'],
+    '🐦': ['鸟', '小鸟'],
+    '🐤': ['小鸟'],
+    '🐟': ['鱼', '小鱼'],
+    '🐠': ['鱼', '小鱼'],
+    '🕷': ['蜘蛛'],
+    '🐛': ['昆虫'],
+
+    // 食物 / 娱乐
+    '🎉': ['庆祝', '撒花'],
+    '🎊': ['庆祝', '撒花'],
+    '🎂': ['生日', '蛋糕'],
+    '🍰': ['蛋糕', '甜点'],
+    '🍣': ['吃寿司', '日本料理'],
+    '🍡': ['团子', '丸子'],
+    '🍢': ['烤串', '串烧'],
+    '🍱': ['便当', '盒饭'],
+    '🍵': ['茶', '热饮'],
+    '☕': ['热饮'],
+    '🍻': ['干杯', '碰杯'],
+    '🍺': ['喝酒', '干杯'],
+    '🎵': ['音乐', '音符'],
+    '🎶': ['音乐', '哼歌'],
+    '🎤': ['唱歌', '演唱'],
+    '🎧': ['耳机', '听音乐'],
+    '🎮': ['游戏', '手柄'],
+    '⚽': ['足球'],
+    '🏀': ['篮球'],
+    '🎳': ['保龄球'],
+    '🏓': ['乒乓球'],
+    '🎣': ['钓鱼'],
+
+    // 其他
+    '✨': ['闪亮', '星星'],
+    '⭐': ['星星'],
+    '🌟': ['星星', '闪亮'],
+    '🔥': ['火焰', '燃烧'],
+    '💥': ['爆炸'],
+    '💯': ['满意'],
+    '🌸': ['花', '花朵'],
+    '💐': ['花朵'],
+    '🔫': ['枪', '手枪'],
+    '🗡': ['持剑', '剑术'],
+    '⚔': ['对决', '剑术'],
+    '🏹': ['弓箭', '射箭'],
+    '💣': ['扔炸弹', '爆炸'],
+    '🪄': ['魔法', '魔杖'],
+    '📝': ['笔记', '写字'],
+    '📚': ['学习'],
+    '💻': ['工作']
+};
+
+// ES Modules 导出
+export { EMOJI_KEYWORDS };
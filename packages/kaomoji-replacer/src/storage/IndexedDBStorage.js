@@ -8,6 +8,7 @@ const DB_NAME = 'KaomojiReplacerDB';
 const DB_VERSION = 1;
 const STORE_NAME = 'kaomojis';
 const DATA_KEY = 'kaomoji_data';
+const INDEX_KEY = 'search_index';   // 与原始数据并存的搜索索引快照（SearchEngine.exportIndex）
 
 // 调试开关（默认关闭）
 let DEBUG_MODE = false;
@@ -131,6 +132,9 @@ async function saveKaomojis(data) {
             const store = transaction.objectStore(STORE_NAME);
             const request = store.put(data, DATA_KEY);
 
+            // 原始数据变化后旧的索引快照已过期，一并删除
+            store.delete(INDEX_KEY);
+
             transaction.oncomplete = () => {
                 db.close();
                 debugLog(`Saved ${data.length} kaomojis to IndexedDB`);
@@ -164,6 +168,7 @@ async function clearKaomojis() {
             const transaction = db.transaction([STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
             const request = store.delete(DATA_KEY);
+            store.delete(INDEX_KEY);
 
             transaction.oncomplete = () => {
                 db.close();
@@ -186,6 +191,83 @@ async function clearKaomojis() {
     }
 }
 
+/**
+ * 从 IndexedDB 读取搜索索引快照
+ * @returns {Promise<Object|null>} 索引快照（SearchEngine.exportIndex 的结果），不存在返回 null
+ */
+async function getSearchIndex() {
+    try {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(INDEX_KEY);
+
+            transaction.oncomplete = () => {
+                db.close();
+            };
+
+            transaction.onerror = () => {
+                db.close();
+                reject(new Error('Transaction failed'));
+            };
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to read search index from IndexedDB'));
+            };
+        });
+    } catch (error) {
+        debugError('Error reading search index from IndexedDB:', error);
+        return null;
+    }
+}
+
+/**
+ * 保存搜索索引快照到 IndexedDB
+ * 注意：saveKaomojis / clearKaomojis 会删除已保存的快照，请在保存数据之后再保存快照
+ * @param {Object} snapshot - SearchEngine.exportIndex 的结果
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function saveSearchIndex(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        debugError('Search index snapshot must be an object');
+        return false;
+    }
+
+    try {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.put(snapshot, INDEX_KEY);
+
+            transaction.oncomplete = () => {
+                db.close();
+                debugLog(`Saved search index (${snapshot.documents ? snapshot.documents.length : 0} documents) to IndexedDB`);
+                resolve(true);
+            };
+
+            transaction.onerror = () => {
+                db.close();
+                reject(new Error('Transaction failed'));
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to save search index to IndexedDB'));
+            };
+        });
+    } catch (error) {
+        debugError('Error saving search index to IndexedDB:', error);
+        return false;
+    }
+}
+
 /**
  * 从远程 URL 加载默认数据
  * @param {string} url - 数据 URL
@@ -293,6 +375,8 @@ export {
     getKaomojis,
     saveKaomojis,
     clearKaomojis,
+    getSearchIndex,
+    saveSearchIndex,
     getStorageStats,
     setDebugMode
 };